@@ -0,0 +1,700 @@
+// web/lib/analyze.js
+//
+// Return-risk analytics (Max DD, DD duration, losing streak, worst days, Pain Score,
+// Sortino / Calmar / Ulcer / VaR-CVaR and other risk metrics).
+// Shared by the home page and /api/analyze so the UI and the API never drift.
+
+export function round(x, digits = 2) {
+  if (x === undefined || !Number.isFinite(x)) return x;
+  const m = 10 ** digits;
+  return Math.round(x * m) / m;
+}
+
+export function stddev(arr) {
+  const n = arr.length;
+  if (n < 2) return undefined;
+  const mean = arr.reduce((s, x) => s + x, 0) / n;
+  const varSum = arr.reduce((s, x) => s + (x - mean) ** 2, 0);
+  return Math.sqrt(varSum / (n - 1));
+}
+
+export function worstNAvg(returns, n) {
+  if (returns.length < n) return undefined;
+  const a = [...returns].sort((x, y) => x - y);
+  const worst = a.slice(0, n);
+  return worst.reduce((s, x) => s + x, 0) / n;
+}
+
+export function quantile(arr, q) {
+  if (!arr.length) return undefined;
+  const a = [...arr].sort((x, y) => x - y);
+  const pos = (a.length - 1) * q;
+  const base = Math.floor(pos);
+  const rest = pos - base;
+  return a[base + 1] === undefined
+    ? a[base]
+    : a[base] + rest * (a[base + 1] - a[base]);
+}
+
+export function clamp(x, lo, hi) {
+  return Math.max(lo, Math.min(hi, x));
+}
+
+// 頻度ごとの年換算本数と表示単位（/api/prices の interval と同じキー）
+export const FREQUENCIES = {
+  "1d": { periodsPerYear: 252, unit: "days", label: "Daily" },
+  "1wk": { periodsPerYear: 52, unit: "weeks", label: "Weekly" },
+  "1mo": { periodsPerYear: 12, unit: "months", label: "Monthly" },
+};
+
+export function frequencyInfo(frequency) {
+  return FREQUENCIES[frequency] || FREQUENCIES["1d"];
+}
+
+// 日次 points を週次（ISO週: 月曜始まり）/ 月次に間引く。各バケットの最終営業日の close を残す
+export function resamplePoints(points, frequency) {
+  if (frequency !== "1wk" && frequency !== "1mo") return points;
+  const bucketOf = (date) => {
+    if (frequency === "1mo") return date.slice(0, 7);
+    const t = Date.parse(`${date}T00:00:00Z`);
+    const dow = (new Date(t).getUTCDay() + 6) % 7; // Mon=0
+    return new Date(t - dow * 86400000).toISOString().slice(0, 10);
+  };
+  const out = [];
+  let lastKey = null;
+  for (const p of points) {
+    const k = bucketOf(p.date);
+    if (k === lastKey) out[out.length - 1] = p;
+    else out.push(p);
+    lastKey = k;
+  }
+  return out;
+}
+
+// 全系列に共通する日付だけ残す（equity/DD を同じ起点で比較するため）
+// seriesList: [{ symbol, points }] -> 同じ形で、points は共通日付のみ
+export function alignOnCommonDates(seriesList) {
+  const maps = seriesList.map((s) => new Map(s.points.map((p) => [p.date, p.close])));
+  const dates = [...maps[0].keys()].filter((d) => maps.every((m) => m.has(d))).sort();
+  return seriesList.map((s, i) => ({
+    symbol: s.symbol,
+    points: dates.map((date) => ({ date, close: maps[i].get(date) })),
+  }));
+}
+
+// 既定の drawdown episode 閾値（|DD| がこれ以上の山→谷→回復を列挙）
+export const DEFAULT_EPISODE_THRESHOLD = 0.1;
+
+// 高値更新から次の高値回復までを 1 episode とし、深さが threshold 以上のものを返す
+// days は本数ベース（日次なら営業日、週次なら週）。未回復なら recoveryDate = null
+export function findDrawdownEpisodes(dates, equity, threshold = DEFAULT_EPISODE_THRESHOLD) {
+  const episodes = [];
+  let peakIdx = 0;
+  let troughIdx = 0;
+  let inDD = false;
+
+  const push = (recoveryIdx) => {
+    const depth = equity[troughIdx] / equity[peakIdx] - 1;
+    if (Math.abs(depth) < threshold) return;
+    episodes.push({
+      peakDate: dates[peakIdx],
+      troughDate: dates[troughIdx],
+      recoveryDate: recoveryIdx === null ? null : dates[recoveryIdx],
+      depth,
+      daysToTrough: troughIdx - peakIdx,
+      daysToRecover: recoveryIdx === null ? null : recoveryIdx - troughIdx,
+      totalDays: (recoveryIdx === null ? equity.length - 1 : recoveryIdx) - peakIdx,
+    });
+  };
+
+  for (let i = 1; i < equity.length; i++) {
+    if (equity[i] >= equity[peakIdx]) {
+      if (inDD) push(i);
+      inDD = false;
+      peakIdx = i;
+      troughIdx = i;
+    } else {
+      inDD = true;
+      if (equity[i] < equity[troughIdx]) troughIdx = i;
+    }
+  }
+  if (inDD) push(null);
+
+  return episodes;
+}
+
+function mean(arr) {
+  return arr.reduce((s, x) => s + x, 0) / arr.length;
+}
+
+// 下側 q 分位（historical VaR）と、それ以下の平均（CVaR / expected shortfall）
+// どちらもリターンの符号のまま（損失は負）
+function tailRisk(returns, q) {
+  if (returns.length < Math.ceil(1 / q)) return { var: undefined, cvar: undefined };
+  const v = quantile(returns, q);
+  const tail = returns.filter((r) => r <= v);
+  return { var: v, cvar: mean(tail) };
+}
+
+// 追加のリスク指標（年率は periodsPerYear で換算、無リスク金利 0）
+// - annualReturn: CAGR / sortino: CAGR ÷ 年率下方偏差（目標 0） / calmar: CAGR ÷ |MaxDD|
+// - ulcerIndex: DD の二乗平均平方根 / painIndex: |DD| の平均
+// - var/cvar: 1 本（日・週・月）あたりの historical VaR / CVaR
+// - skewness / excessKurtosis: 母集団モーメント / timeUnderwater: DD < 0 の本数比率
+export function riskMetrics(returns, equity, drawdown, { periodsPerYear, maxDD }) {
+  const n = returns.length;
+  const years = n / periodsPerYear;
+  const totalReturn = equity[equity.length - 1] / equity[0] - 1;
+  const annualReturn = years > 0 ? (1 + totalReturn) ** (1 / years) - 1 : undefined;
+  const vol = stddev(returns);
+  const annualVol = vol === undefined ? undefined : vol * Math.sqrt(periodsPerYear);
+
+  const downsideDev = Math.sqrt(mean(returns.map((r) => Math.min(r, 0) ** 2))) * Math.sqrt(periodsPerYear);
+  const sortino = downsideDev > 0 && annualReturn !== undefined ? annualReturn / downsideDev : undefined;
+  const calmar = maxDD < 0 && annualReturn !== undefined ? annualReturn / Math.abs(maxDD) : undefined;
+
+  const ulcerIndex = Math.sqrt(mean(drawdown.map((d) => d * d)));
+  const painIndex = mean(drawdown.map((d) => Math.abs(d)));
+
+  const m = mean(returns);
+  const m2 = mean(returns.map((r) => (r - m) ** 2));
+  const m3 = mean(returns.map((r) => (r - m) ** 3));
+  const m4 = mean(returns.map((r) => (r - m) ** 4));
+  const skewness = n >= 3 && m2 > 0 ? m3 / m2 ** 1.5 : undefined;
+  const excessKurtosis = n >= 4 && m2 > 0 ? m4 / (m2 * m2) - 3 : undefined;
+
+  const t95 = tailRisk(returns, 0.05);
+  const t99 = tailRisk(returns, 0.01);
+
+  return {
+    totalReturn,
+    annualReturn,
+    annualVol,
+    downsideDev,
+    sortino,
+    calmar,
+    ulcerIndex,
+    painIndex,
+    var95: t95.var,
+    cvar95: t95.cvar,
+    var99: t99.var,
+    cvar99: t99.cvar,
+    skewness,
+    excessKurtosis,
+    timeUnderwater: drawdown.filter((d) => d < 0).length / drawdown.length,
+  };
+}
+
+// 標準正規分布の密度と逆累積分布（Acklam の近似, 相対誤差 ~1e-9）
+function normalPdf(z) {
+  return Math.exp(-0.5 * z * z) / Math.sqrt(2 * Math.PI);
+}
+
+export function normalQuantile(p) {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const pLow = 0.02425;
+  if (p < pLow) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - pLow) return -normalQuantile(1 - p);
+  const q = p - 0.5;
+  const r = q * q;
+  return ((((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q) /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+// リターン分布（ヒストグラム + 同じ平均・標準偏差の正規分布 + QQ）
+// - histogram: [{ x: 階級の中央(%), from, to, count, normal: 正規分布での期待度数 }]
+// - qq: [{ z: 正規分位点, sample: 実績分位点(%), normal: mean + sd*z (%) }]（qqPoints 本に間引き）
+export function returnDistribution(returns, { bins = 40, qqPoints = 100 } = {}) {
+  const n = returns.length;
+  const sd = stddev(returns);
+  if (sd === undefined || sd === 0) return null;
+  const m = mean(returns);
+  const lo = Math.min(...returns);
+  const hi = Math.max(...returns);
+  const width = (hi - lo) / bins;
+
+  const counts = new Array(bins).fill(0);
+  for (const r of returns) counts[Math.min(bins - 1, Math.floor((r - lo) / width))] += 1;
+  const histogram = counts.map((count, i) => {
+    const mid = lo + (i + 0.5) * width;
+    return {
+      x: round(mid * 100, 3),
+      from: lo + i * width,
+      to: lo + (i + 1) * width,
+      count,
+      normal: round(n * (width / sd) * normalPdf((mid - m) / sd), 2),
+    };
+  });
+
+  const k = Math.min(qqPoints, n);
+  const sorted = [...returns].sort((x, y) => x - y);
+  const qq = [];
+  for (let i = 0; i < k; i++) {
+    const p = (i + 0.5) / k;
+    const z = normalQuantile(p);
+    qq.push({
+      z: round(z, 3),
+      sample: round(quantile(sorted, p) * 100, 3),
+      normal: round((m + sd * z) * 100, 3),
+    });
+  }
+
+  return { count: n, mean: m, sd, histogram, qq };
+}
+
+// 年 × 月のリターン表（月次リターン・年間リターン・年内の最大 DD・年内ボラ）
+// 各月（年）のリターンは「前月末（前年末）の終値 -> 当月末（当年末）の終値」。
+// 最初の月・年だけはデータ初日の終値を起点にする。
+// partial: データ初日から始まる年、または 12 月まで届かずに終わる最後の年（年初来）
+// 年内 DD は前年末の終値を最初の高値として、その年の中だけで測る
+// vol: その年の中のリターン（前年末 -> 初日を含む）の標準偏差を periodsPerYear で年率化
+export function calendarReturns(points, { periodsPerYear = 252 } = {}) {
+  const years = [];
+  let prevClose = points[0].close;
+  let monthBase = points[0].close;
+  let yearBase = points[0].close;
+  let cur = null;
+  let peak = points[0].close;
+
+  const closeMonth = (row, month, close) => {
+    row.months[month] = close / monthBase - 1;
+    monthBase = close;
+  };
+  const closeYear = (row, close) => {
+    closeMonth(row, row.lastMonth, close);
+    row.total = close / yearBase - 1;
+    const sd = stddev(row.returns);
+    row.vol = sd === undefined ? undefined : sd * Math.sqrt(periodsPerYear);
+  };
+
+  for (let i = 0; i < points.length; i++) {
+    const { date, close } = points[i];
+    const year = Number(date.slice(0, 4));
+    const month = Number(date.slice(5, 7)) - 1;
+
+    if (!cur || cur.year !== year) {
+      if (cur) {
+        closeYear(cur, prevClose);
+        yearBase = prevClose;
+      }
+      cur = {
+        year,
+        months: new Array(12).fill(null),
+        total: null,
+        maxDD: 0,
+        vol: undefined,
+        partial: i === 0,
+        lastMonth: month,
+        returns: [],
+      };
+      years.push(cur);
+      peak = yearBase;
+    } else if (cur.lastMonth !== month) {
+      closeMonth(cur, cur.lastMonth, prevClose);
+      cur.lastMonth = month;
+    }
+
+    if (i > 0) cur.returns.push(close / prevClose - 1);
+    peak = Math.max(peak, close);
+    cur.maxDD = Math.min(cur.maxDD, close / peak - 1);
+    prevClose = close;
+  }
+  if (cur) {
+    closeYear(cur, prevClose);
+    if (cur.lastMonth < 11) cur.partial = true;
+  }
+
+  return years.map(({ lastMonth, returns, ...row }) => row);
+}
+
+// 暦年リターンが最悪の年（partial な年は除く）: { year, ret } / 完全な年が無ければ undefined
+function findWorstCalendarYear(calendar) {
+  let worst;
+  for (const y of calendar) {
+    if (y.partial) continue;
+    if (!worst || y.total < worst.ret) worst = { year: y.year, ret: y.total };
+  }
+  return worst;
+}
+
+// 最悪の rolling 12 ヶ月（= periodsPerYear 本）リターン: { start, end, ret }
+// start は窓の起点の終値の日付 / データが 1 年分に満たなければ undefined
+function findWorstRolling12m(dates, equity, periodsPerYear) {
+  let worst;
+  for (let i = 0; i + periodsPerYear < equity.length; i++) {
+    const ret = equity[i + periodsPerYear] / equity[i] - 1;
+    if (!worst || ret < worst.ret) worst = { start: dates[i], end: dates[i + periodsPerYear], ret };
+  }
+  return worst;
+}
+
+// 一覧の既定件数（worst/best days・weeks・months）と rolling window の既定本数
+export const DEFAULT_TOP_N = 10;
+export const DEFAULT_ROLLING_WINDOW = 10;
+
+// rows: [{ date, r, ... }] -> 上位 n 件（dir = 1: 悪い順 / -1: 良い順）
+// ddPct: その日付（期間末）の drawdown（%）。大きな DD の最中だったかを見るため
+function rankReturns(rows, n, dir, ddByDate) {
+  return [...rows]
+    .sort((a, b) => dir * (a.r - b.r))
+    .slice(0, Math.min(n, rows.length))
+    .map(({ r, ...x }, idx) => ({
+      rank: idx + 1,
+      ...x,
+      retPct: round(r * 100, 2),
+      ddPct: round((ddByDate.get(x.date) ?? 0) * 100, 2),
+    }));
+}
+
+// 暦週（ISO 週: 月曜始まり）/ 暦月ごとのリターン。date = 期間の最終営業日、label = 週の初日 / "YYYY-MM"
+// 最初の期間はデータ初日の終値を起点にする
+function calendarPeriodReturns(points, frequency) {
+  const ends = resamplePoints(points, frequency);
+  const rows = [];
+  let prevClose = points[0].close;
+  let firstIdx = 0;
+  let k = 0;
+  for (const end of ends) {
+    while (points[k].date !== end.date) k += 1;
+    rows.push({
+      date: end.date,
+      label: frequency === "1mo" ? end.date.slice(0, 7) : points[firstIdx].date,
+      r: end.close / prevClose - 1,
+    });
+    prevClose = end.close;
+    firstIdx = k + 1;
+  }
+  return rows;
+}
+
+// 連続 window 本のリターンが悪い順に、期間が重ならないものを n 件
+function worstRollingWindows(dates, equity, window, n, drawdown) {
+  if (equity.length <= window) return [];
+  const all = [];
+  for (let i = window; i < equity.length; i++) {
+    all.push({ from: i - window, to: i, r: equity[i] / equity[i - window] - 1 });
+  }
+  all.sort((a, b) => a.r - b.r);
+
+  const picked = [];
+  for (const w of all) {
+    if (picked.length >= n) break;
+    if (picked.some((p) => w.from < p.to && p.from < w.to)) continue;
+    picked.push(w);
+  }
+  return picked.map((w, idx) => ({
+    rank: idx + 1,
+    start: dates[w.from],
+    date: dates[w.to],
+    retPct: round(w.r * 100, 2),
+    ddPct: round(drawdown[w.to] * 100, 2),
+  }));
+}
+
+// rolling 指標の window（営業日）。週次/月次は年間本数で換算（63 日 -> 13 週 / 3 か月）
+export const ROLLING_WINDOWS = [63, 126, 252];
+
+export function rollingBars(days, periodsPerYear) {
+  return Math.max(2, Math.round((days * periodsPerYear) / 252));
+}
+
+// 各日付について直近 window 本の 年率ボラ・最大 DD・Pain Score
+// returns [{ date, vol_63, maxdd_63, pain_63, vol_126, ... }]（window に満たない日は null）
+// vol / maxdd は %（小数 2 桁）
+function rollingSeries(dates, equity, returns, { periodsPerYear, painModel }) {
+  const rows = dates.map((date) => ({ date }));
+  for (const days of ROLLING_WINDOWS) {
+    const w = rollingBars(days, periodsPerYear);
+    let sum = 0;
+    let sumSq = 0;
+    for (let i = 0; i < dates.length; i++) {
+      // returns[i - 1] = dates[i] のリターン
+      if (i >= 1) {
+        sum += returns[i - 1];
+        sumSq += returns[i - 1] ** 2;
+      }
+      if (i > w) {
+        sum -= returns[i - w - 1];
+        sumSq -= returns[i - w - 1] ** 2;
+      }
+      const row = rows[i];
+      if (i < w) {
+        row[`vol_${days}`] = null;
+        row[`maxdd_${days}`] = null;
+        row[`pain_${days}`] = null;
+        continue;
+      }
+
+      const variance = Math.max(0, (sumSq - (sum * sum) / w) / (w - 1));
+      const periodVol = Math.sqrt(variance);
+
+      let peak = equity[i - w];
+      let maxDD = 0;
+      let dur = 0;
+      let maxDdDuration = 0;
+      for (let k = i - w; k <= i; k++) {
+        if (equity[k] >= peak) {
+          peak = equity[k];
+          dur = 0;
+        } else {
+          dur += 1;
+          maxDdDuration = Math.max(maxDdDuration, dur);
+        }
+        maxDD = Math.min(maxDD, equity[k] / peak - 1);
+      }
+
+      row[`vol_${days}`] = round(periodVol * Math.sqrt(periodsPerYear) * 100, 2);
+      row[`maxdd_${days}`] = round(maxDD * 100, 2);
+      row[`pain_${days}`] = computePain({ maxDD, maxDdDuration, periodVol, periodsPerYear }, painModel).painScore;
+    }
+  }
+  return rows;
+}
+
+// === Pain Score model ===
+// weights: [depth, length, jitter]（%、合計で正規化）
+// refs: [MaxDD %, DD 期間（営業日）, 日次ボラ %] — それぞれ成分が 1（最大級の痛み）になる基準値
+// 週次/月次では length は年間本数で、jitter は √(252/年間本数) で同じ水準に換算する
+export const PAIN_PRESETS = {
+  default: { label: "Default", weights: [55, 30, 15], refs: [60, 252, 3] },
+  // 小さめの DD・短い低迷でも痛いとみなす
+  conservative: { label: "Conservative", weights: [50, 30, 20], refs: [30, 126, 2] },
+  // 長期保有前提：揺れは気にせず、深さと回復の遅さを重視
+  "long-horizon": { label: "Long-horizon", weights: [60, 35, 5], refs: [60, 756, 4] },
+};
+
+export const DEFAULT_PAIN_PRESET = "default";
+
+function parsePainTriple(raw) {
+  const nums = (Array.isArray(raw) ? raw : String(raw).split(",")).map((x) => Number(x));
+  if (nums.length !== 3 || nums.some((x) => !Number.isFinite(x) || x < 0)) return null;
+  return nums;
+}
+
+// { preset?, weights?, refs? }（weights/refs は "55,30,15" または数値配列）
+// -> { value: model } or { error }
+// weights / refs のどちらかを指定すると preset を起点にした "custom" モデルになる
+export function parsePainModel({ preset, weights, refs } = {}) {
+  const has = (x) => x !== undefined && x !== null && x !== "";
+  const name = has(preset) ? String(preset).trim().toLowerCase() : DEFAULT_PAIN_PRESET;
+  const base = PAIN_PRESETS[name];
+  if (!base) return { error: `painModel must be one of: ${Object.keys(PAIN_PRESETS).join(", ")}` };
+
+  const w = has(weights) ? parsePainTriple(weights) : base.weights;
+  if (!w || w[0] + w[1] + w[2] <= 0) {
+    return { error: "painWeights must be 3 non-negative numbers (depth,length,jitter), e.g. 55,30,15" };
+  }
+  const r = has(refs) ? parsePainTriple(refs) : base.refs;
+  if (!r || r.some((x) => x <= 0)) {
+    return { error: "painRefs must be 3 positive numbers (MaxDD %, DD days, daily vol %), e.g. 60,252,3" };
+  }
+
+  const sum = w[0] + w[1] + w[2];
+  return {
+    value: {
+      preset: has(weights) || has(refs) ? "custom" : name,
+      weights: { depth: w[0] / sum, length: w[1] / sum, jitter: w[2] / sum },
+      depthRef: r[0] / 100,
+      lengthRefDays: r[1],
+      jitterRefDaily: r[2] / 100,
+    },
+  };
+}
+
+export const DEFAULT_PAIN_MODEL = parsePainModel().value;
+
+// 深さ(MaxDD)・長さ(DD期間)・揺れ(ボラ)を、基準値で0-1に正規化して重み付き合成（0-100）
+// returns { painScore, painBreakdown }
+export function computePain({ maxDD, maxDdDuration, periodVol, periodsPerYear }, model = DEFAULT_PAIN_MODEL) {
+  const depthRef = model.depthRef;
+  const lengthRef = (model.lengthRefDays * periodsPerYear) / 252;
+  const jitterRef = model.jitterRefDaily * Math.sqrt(252 / periodsPerYear);
+  const depth = clamp(Math.abs(maxDD) / depthRef, 0, 1);
+  const length = clamp(maxDdDuration / lengthRef, 0, 1);
+  const jitter = periodVol === undefined ? 0 : clamp(periodVol / jitterRef, 0, 1);
+  const w = model.weights;
+
+  return {
+    painScore: Math.round(100 * (w.depth * depth + w.length * length + w.jitter * jitter)),
+    // 画面に説明を出すための内訳も返す（丸め）
+    painBreakdown: {
+      depth: round(depth, 3),
+      length: round(length, 3),
+      jitter: round(jitter, 3),
+      depthRef,
+      lengthRef: round(lengthRef, 1),
+      jitterRef: round(jitterRef, 4),
+    },
+  };
+}
+
+// frequency: "1d" | "1wk" | "1mo"（points の間隔）。ボラの年率化と Pain Score の基準値に使う
+// painModel: parsePainModel() の value（省略時は default preset）
+// topN: worst/best 一覧の件数 / rollingWindow: worst rolling window の本数
+export function analyze(
+  points,
+  {
+    episodeThreshold = DEFAULT_EPISODE_THRESHOLD,
+    frequency = "1d",
+    painModel = DEFAULT_PAIN_MODEL,
+    topN = DEFAULT_TOP_N,
+    rollingWindow = DEFAULT_ROLLING_WINDOW,
+  } = {}
+) {
+  if (!points || points.length < 2) throw new Error("Not enough points");
+
+  const freq = frequencyInfo(frequency);
+  const periodsPerYear = freq.periodsPerYear;
+
+  const closes = points.map((p) => p.close);
+
+  // returns[i] corresponds to points[i] date (i>=1)
+  const returns = [];
+  const retSeries = []; // {date, r}
+  for (let i = 1; i < closes.length; i++) {
+    const r = closes[i] / closes[i - 1] - 1;
+    returns.push(r);
+    retSeries.push({ date: points[i].date, r });
+  }
+
+  // equity (starts at 1)
+  const equity = [1];
+  for (let i = 0; i < returns.length; i++) {
+    equity.push(equity[i] * (1 + returns[i]));
+  }
+
+  // drawdown + durations
+  let peak = equity[0];
+  let maxDD = 0; // <=0
+  let ddDuration = 0;
+  let maxDdDuration = 0;
+
+  const drawdown = equity.map((e) => {
+    if (e >= peak) {
+      peak = e;
+      ddDuration = 0;
+    } else {
+      ddDuration += 1;
+      maxDdDuration = Math.max(maxDdDuration, ddDuration);
+    }
+    const dd = e / peak - 1;
+    maxDD = Math.min(maxDD, dd);
+    return dd;
+  });
+
+  // max losing streak
+  let curLose = 0;
+  let maxLose = 0;
+  for (const r of returns) {
+    if (r < 0) {
+      curLose += 1;
+      maxLose = Math.max(maxLose, curLose);
+    } else {
+      curLose = 0;
+    }
+  }
+
+  // vol + tail proxies
+  const periodVol = stddev(returns);
+  const annualVol = periodVol === undefined ? undefined : periodVol * Math.sqrt(periodsPerYear);
+  const dailyVol = frequency === "1d" ? periodVol : undefined;
+  const worst10Avg = worstNAvg(returns, 10);
+  const metrics = riskMetrics(returns, equity, drawdown, { periodsPerYear, maxDD });
+  const distribution = returnDistribution(returns);
+  const calendar = calendarReturns(points, { periodsPerYear });
+
+  // 年単位の最悪: 暦年（完全な年のみ）と rolling 12 ヶ月
+  const worstCalendarYear = findWorstCalendarYear(calendar);
+  const worstRolling12m = findWorstRolling12m(
+    points.map((p) => p.date),
+    equity,
+    periodsPerYear
+  );
+
+  // charts (丸めて格納：見た目もtooltipも安定)
+  const chart = points.map((p, i) => ({
+    date: p.date,
+    equity: round(equity[i], 4),            // 例: 1.2345
+    drawdown: round(drawdown[i] * 100, 2),  // 例: -12.34 (%)
+  }));
+
+  // rolling window 指標（chart と同じ日付の並び）
+  const rolling = rollingSeries(
+    points.map((p) => p.date),
+    equity,
+    returns,
+    { periodsPerYear, painModel }
+  );
+
+  // drawdown episodes (peak -> trough -> recovery)
+  const ddEpisodes = findDrawdownEpisodes(
+    points.map((p) => p.date),
+    equity,
+    episodeThreshold
+  );
+
+  // worst days list (top N worst period returns; 週次/月次なら週・月)
+  // 各行に、その日の drawdown 水準（ddPct）も付ける
+  const dates = points.map((p) => p.date);
+  const ddByDate = new Map(dates.map((d, i) => [d, drawdown[i]]));
+  const worstDays = rankReturns(retSeries, topN, 1, ddByDate);
+
+  // best days / 暦週・暦月の worst・best / worst rolling window
+  // 暦週は月次データでは作れないので空
+  const weeks = frequency === "1mo" ? [] : calendarPeriodReturns(points, "1wk");
+  const months = calendarPeriodReturns(points, "1mo");
+  const extremes = {
+    topN,
+    rollingWindow,
+    bestDays: rankReturns(retSeries, topN, -1, ddByDate),
+    worstWeeks: rankReturns(weeks, topN, 1, ddByDate),
+    bestWeeks: rankReturns(weeks, topN, -1, ddByDate),
+    worstMonths: rankReturns(months, topN, 1, ddByDate),
+    bestMonths: rankReturns(months, topN, -1, ddByDate),
+    worstRolling: worstRollingWindows(dates, equity, rollingWindow, topN, drawdown),
+  };
+
+  // === Pain Score (Sigmora-style heuristic, 0-100) ===
+  // default model:
+  // - depth : |MaxDD| / 0.60（60%DDを最大級の基準）
+  // - length: MaxDDDuration / (1年分の本数)（約1年を長い痛みの基準; 日次なら252）
+  // - jitter: PeriodVol / (0.03 * sqrt(252 / 年間本数))（3%日次ボラ相当を激しい揺れの基準）
+  // - weights: depth 55%, length 30%, jitter 15%
+  const { painScore, painBreakdown } = computePain(
+    { maxDD, maxDdDuration, periodVol, periodsPerYear },
+    painModel
+  );
+
+  return {
+    frequency: frequency in FREQUENCIES ? frequency : "1d",
+    periodsPerYear,
+    maxDD,
+    maxDdDuration,
+    maxLose,
+    dailyVol,
+    periodVol,
+    annualVol,
+    worst10Avg,
+    worstCalendarYear,
+    worstRolling12m,
+    metrics,
+    distribution,
+    calendar,
+    chart,
+    rolling,
+    worstDays,
+    extremes,
+    ddEpisodes,
+    episodeThreshold,
+    painScore,
+    painBreakdown,
+    painModel,
+  };
+}
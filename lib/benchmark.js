@@ -0,0 +1,133 @@
+// web/lib/benchmark.js
+//
+// Benchmark-relative risk: beta, correlation, tracking error, up/down capture,
+// relative drawdown (asset / benchmark ratio curve) and how the asset behaved
+// during the benchmark's worst drawdown episodes.
+// Shared by the home page and /api/analyze (same as lib/analyze.js).
+
+import {
+  alignOnCommonDates,
+  DEFAULT_EPISODE_THRESHOLD,
+  findDrawdownEpisodes,
+  frequencyInfo,
+  round,
+  stddev,
+} from "./analyze";
+
+// 表に出す benchmark 側 episode の数（深い順）
+const BENCHMARK_EPISODES_TOP = 5;
+
+function mean(arr) {
+  return arr.reduce((s, x) => s + x, 0) / arr.length;
+}
+
+// 上昇/下落局面の幾何平均リターン比（Morningstar 方式の capture ratio）
+function captureRatio(assetRets, benchRets, pick) {
+  const idx = benchRets.map((_, i) => i).filter((i) => pick(benchRets[i]));
+  if (!idx.length) return undefined;
+  const geo = (rets) => idx.reduce((g, i) => g * (1 + rets[i]), 1) ** (1 / idx.length) - 1;
+  const b = geo(benchRets);
+  return b === 0 ? undefined : geo(assetRets) / b;
+}
+
+// points / benchPoints: [{date, close}]（日付は共通部分だけ使う）
+// frequency: points の間隔（tracking error の年率化に使う）
+export function compareToBenchmark(
+  points,
+  benchPoints,
+  { frequency = "1d", episodeThreshold = DEFAULT_EPISODE_THRESHOLD } = {}
+) {
+  const [asset, bench] = alignOnCommonDates([
+    { symbol: "asset", points },
+    { symbol: "benchmark", points: benchPoints },
+  ]);
+  const n = asset.points.length;
+  if (n < 3) throw new Error("Not enough common dates with benchmark");
+
+  const { periodsPerYear } = frequencyInfo(frequency);
+  const dates = asset.points.map((p) => p.date);
+  const a = asset.points.map((p) => p.close);
+  const b = bench.points.map((p) => p.close);
+
+  const ra = [];
+  const rb = [];
+  for (let i = 1; i < n; i++) {
+    ra.push(a[i] / a[i - 1] - 1);
+    rb.push(b[i] / b[i - 1] - 1);
+  }
+
+  const ma = mean(ra);
+  const mb = mean(rb);
+  let cov = 0;
+  let varA = 0;
+  let varB = 0;
+  for (let i = 0; i < ra.length; i++) {
+    cov += (ra[i] - ma) * (rb[i] - mb);
+    varA += (ra[i] - ma) ** 2;
+    varB += (rb[i] - mb) ** 2;
+  }
+  const beta = varB > 0 ? cov / varB : undefined;
+  const correlation = varA > 0 && varB > 0 ? cov / Math.sqrt(varA * varB) : undefined;
+
+  const active = ra.map((r, i) => r - rb[i]);
+  const activeVol = stddev(active);
+  const trackingError = activeVol === undefined ? undefined : activeVol * Math.sqrt(periodsPerYear);
+
+  const upCapture = captureRatio(ra, rb, (r) => r > 0);
+  const downCapture = captureRatio(ra, rb, (r) => r < 0);
+
+  // 相対 equity = (asset / asset0) / (bench / bench0)。その DD が「benchmark に対して負けている深さ」
+  const relative = a.map((x, i) => x / a[0] / (b[i] / b[0]));
+  let peak = relative[0];
+  let relMaxDD = 0;
+  const chart = relative.map((x, i) => {
+    peak = Math.max(peak, x);
+    const dd = x / peak - 1;
+    relMaxDD = Math.min(relMaxDD, dd);
+    return {
+      date: dates[i],
+      relative: round(x, 4),
+      relDrawdown: round(dd * 100, 2),
+    };
+  });
+
+  // benchmark の深い DD episode ごとに、同じ peak -> trough 区間の asset の値動き
+  const indexOf = new Map(dates.map((d, i) => [d, i]));
+  const benchEpisodes = findDrawdownEpisodes(dates, b, episodeThreshold)
+    .sort((x, y) => x.depth - y.depth)
+    .slice(0, BENCHMARK_EPISODES_TOP)
+    .map((ep) => {
+      const from = indexOf.get(ep.peakDate);
+      const to = indexOf.get(ep.troughDate);
+      let hi = a[from];
+      let assetMaxDD = 0;
+      for (let i = from; i <= to; i++) {
+        hi = Math.max(hi, a[i]);
+        assetMaxDD = Math.min(assetMaxDD, a[i] / hi - 1);
+      }
+      return {
+        peakDate: ep.peakDate,
+        troughDate: ep.troughDate,
+        recoveryDate: ep.recoveryDate,
+        benchmarkDepth: ep.depth,
+        assetReturn: a[to] / a[from] - 1,
+        assetMaxDD,
+      };
+    });
+
+  return {
+    count: n,
+    start: dates[0],
+    end: dates[n - 1],
+    beta,
+    correlation,
+    trackingError,
+    upCapture,
+    downCapture,
+    relMaxDD,
+    relReturn: relative[n - 1] - 1,
+    chart,
+    benchEpisodes,
+    episodeThreshold,
+  };
+}
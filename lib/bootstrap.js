@@ -0,0 +1,141 @@
+// web/lib/bootstrap.js
+//
+// Block-bootstrap resampling of the historical returns: stitch random blocks of consecutive
+// returns into alternative histories of the same length and look at how Max DD, DD duration
+// and Pain Score are distributed across them. Not a forecast — it only reshuffles what
+// already happened, to show how lucky or unlucky the realized ordering was.
+
+import { computePain, DEFAULT_PAIN_MODEL, frequencyInfo, quantile, round, stddev } from "./analyze";
+
+export const BOOTSTRAP_SAMPLES = [500, 1000, 5000];
+export const DEFAULT_BOOTSTRAP_SAMPLES = 1000;
+// block の長さ（営業日換算）。frequency に合わせて本数に直す（最低 1 本）
+export const BOOTSTRAP_BLOCK_DAYS = [5, 21, 63];
+export const DEFAULT_BOOTSTRAP_BLOCK_DAYS = 21;
+const DEFAULT_SEED = 42;
+const HISTOGRAM_BINS = 30;
+
+// 再現性のための seed 付き乱数（mulberry32）
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// 1 本の return 列から MaxDD / MaxDD duration / Pain Score（analyze() と同じ定義）
+function pathStats(returns, periodsPerYear, painModel) {
+  let equity = 1;
+  let peak = 1;
+  let maxDD = 0;
+  let ddDuration = 0;
+  let maxDdDuration = 0;
+  for (const r of returns) {
+    equity *= 1 + r;
+    if (equity >= peak) {
+      peak = equity;
+      ddDuration = 0;
+    } else {
+      ddDuration += 1;
+      maxDdDuration = Math.max(maxDdDuration, ddDuration);
+    }
+    maxDD = Math.min(maxDD, equity / peak - 1);
+  }
+  const { painScore } = computePain(
+    { maxDD, maxDdDuration, periodVol: stddev(returns), periodsPerYear },
+    painModel
+  );
+  return { maxDD, maxDdDuration, painScore };
+}
+
+function summarize(values, realized, worse) {
+  return {
+    p5: quantile(values, 0.05),
+    median: quantile(values, 0.5),
+    p95: quantile(values, 0.95),
+    realized,
+    // 実際の経路より悪かった resample の割合（小さいほど実際の経路が「不運」だった）
+    worseShare: values.filter((v) => worse(v, realized)).length / values.length,
+  };
+}
+
+// chart 用: MaxDD(%) のヒストグラム [{ x, from, to, count }]
+function histogram(values, bins) {
+  const lo = Math.min(...values);
+  const hi = Math.max(...values);
+  const width = (hi - lo) / bins || 1;
+  const out = Array.from({ length: bins }, (_, i) => ({
+    x: round((lo + (i + 0.5) * width) * 100, 2),
+    from: lo + i * width,
+    to: lo + (i + 1) * width,
+    count: 0,
+  }));
+  for (const v of values) out[Math.min(bins - 1, Math.floor((v - lo) / width))].count += 1;
+  return out;
+}
+
+// points: [{date, close}] / frequency: points の間隔
+// circular block bootstrap: ランダムな位置から blockLength 本ずつ（末尾は先頭に折り返す）つなぎ、
+// 元と同じ本数の return 列を samples 本作る
+// returns null（return が block 1 つ分に足りない）or {
+//   samples, blockLength, blockDays, seed, count（1 本あたりの return 数）,
+//   maxDD / maxDdDuration / painScore: { p5, median, p95, realized, worseShare },
+//   maxDDHistogram
+// }
+export function blockBootstrap(
+  points,
+  {
+    frequency = "1d",
+    painModel = DEFAULT_PAIN_MODEL,
+    samples = DEFAULT_BOOTSTRAP_SAMPLES,
+    blockDays = DEFAULT_BOOTSTRAP_BLOCK_DAYS,
+    seed = DEFAULT_SEED,
+  } = {}
+) {
+  const { periodsPerYear } = frequencyInfo(frequency);
+  const returns = [];
+  for (let i = 1; i < points.length; i++) returns.push(points[i].close / points[i - 1].close - 1);
+
+  const n = returns.length;
+  const blockLength = Math.max(1, Math.round((blockDays * periodsPerYear) / 252));
+  if (n < Math.max(2, blockLength)) return null;
+
+  const rand = mulberry32(seed);
+  const sims = [];
+  const path = new Array(n);
+  for (let s = 0; s < samples; s++) {
+    let k = 0;
+    while (k < n) {
+      const start = Math.floor(rand() * n);
+      for (let j = 0; j < blockLength && k < n; j++, k++) path[k] = returns[(start + j) % n];
+    }
+    sims.push(pathStats(path, periodsPerYear, painModel));
+  }
+
+  const realized = pathStats(returns, periodsPerYear, painModel);
+  const maxDDs = sims.map((x) => x.maxDD);
+
+  return {
+    samples,
+    blockLength,
+    blockDays,
+    seed,
+    count: n,
+    maxDD: summarize(maxDDs, realized.maxDD, (v, r) => v < r),
+    maxDdDuration: summarize(
+      sims.map((x) => x.maxDdDuration),
+      realized.maxDdDuration,
+      (v, r) => v > r
+    ),
+    painScore: summarize(
+      sims.map((x) => x.painScore),
+      realized.painScore,
+      (v, r) => v > r
+    ),
+    maxDDHistogram: histogram(maxDDs, HISTOGRAM_BINS),
+  };
+}
@@ -0,0 +1,81 @@
+// web/lib/crises.js
+//
+// Historical stress windows (dot-com, GFC, COVID, 2022 rate shock + user-defined) and a
+// per-window report: return, max drawdown and how long the asset took to get back to the
+// level it fell from. Windows are evaluated on whatever daily history is available;
+// windows that start before the first bar are flagged instead of silently truncated.
+
+export const CRISIS_WINDOWS = [
+  { id: "dotcom", label: "Dot-com bust", start: "2000-03-24", end: "2002-10-09" },
+  { id: "gfc", label: "2008 GFC", start: "2007-10-09", end: "2009-03-09" },
+  { id: "covid", label: "2020 COVID crash", start: "2020-02-19", end: "2020-03-23" },
+  { id: "rates2022", label: "2022 rate shock", start: "2022-01-03", end: "2022-10-12" },
+];
+
+// "2015-08-10..2016-02-11" -> { id, label, start, end } / 不正なら null
+export function parseCrisisWindow(raw, label) {
+  const m = /^(\d{4}-\d{2}-\d{2})\.\.(\d{4}-\d{2}-\d{2})$/.exec(String(raw || "").trim());
+  if (!m || m[1] > m[2]) return null;
+  return { id: `custom:${m[1]}..${m[2]}`, label: label || `${m[1]} – ${m[2]}`, start: m[1], end: m[2] };
+}
+
+// points: [{date, close}]（日付昇順、日次想定）
+// status:
+// - "ok"       : 窓全体がデータ内
+// - "partial"  : 窓の途中からデータがある（firstDate 以降だけで計算）
+// - "predates" : 窓がデータ開始より前（計算なし）
+// - "after"    : 窓がデータ終了より後（計算なし）
+// - "insufficient": 窓内のバーが 1 本以下
+// recoveryDays: 窓内の底から、底の前の高値（窓内）を回復するまでの本数（窓の後も追う。未回復 = null）
+export function crisisReport(points, windows = CRISIS_WINDOWS) {
+  const first = points[0]?.date;
+  const last = points[points.length - 1]?.date;
+
+  return windows.map((w) => {
+    const base = { ...w, firstDate: first, lastDate: last };
+    if (!points.length || w.end < first) return { ...base, status: "predates" };
+    if (w.start > last) return { ...base, status: "after" };
+
+    const from = points.findIndex((p) => p.date >= w.start);
+    let to = from;
+    while (to + 1 < points.length && points[to + 1].date <= w.end) to += 1;
+    if (to <= from) return { ...base, status: "insufficient" };
+
+    let peakIdx = from;
+    let maxDD = 0;
+    let ddPeakIdx = from;
+    let troughIdx = from;
+    for (let i = from; i <= to; i++) {
+      if (points[i].close > points[peakIdx].close) peakIdx = i;
+      const dd = points[i].close / points[peakIdx].close - 1;
+      if (dd < maxDD) {
+        maxDD = dd;
+        ddPeakIdx = peakIdx;
+        troughIdx = i;
+      }
+    }
+
+    let recoveryIdx = maxDD < 0 ? null : troughIdx;
+    if (maxDD < 0) {
+      for (let i = troughIdx + 1; i < points.length; i++) {
+        if (points[i].close >= points[ddPeakIdx].close) {
+          recoveryIdx = i;
+          break;
+        }
+      }
+    }
+
+    return {
+      ...base,
+      status: w.start < first ? "partial" : "ok",
+      from: points[from].date,
+      to: points[to].date,
+      ret: points[to].close / points[from].close - 1,
+      maxDD,
+      peakDate: points[ddPeakIdx].date,
+      troughDate: points[troughIdx].date,
+      recoveryDate: recoveryIdx === null ? null : points[recoveryIdx].date,
+      recoveryDays: recoveryIdx === null ? null : recoveryIdx - troughIdx,
+    };
+  });
+}
@@ -0,0 +1,106 @@
+// web/lib/holding.js
+//
+// Holding-period outcomes: "what if I had bought on any day of this series and held N years".
+// For every entry date with a full N-year horizon ahead: forward return, the worst drawdown
+// suffered while holding, and how long it took to get back to the entry price.
+// Still retrospective — it describes the loaded history, not a forecast.
+
+import { quantile, round } from "./analyze";
+
+export const HOLDING_YEARS = [1, 3, 5, 10];
+
+// i ごとに「i より後で初めて above(close[j], close[i]) になる index」（無ければ null）
+// 単調スタックで O(n)
+function nextWhere(closes, above) {
+  const out = new Array(closes.length).fill(null);
+  const stack = [];
+  for (let j = 0; j < closes.length; j++) {
+    while (stack.length && above(closes[j], closes[stack[stack.length - 1]])) out[stack.pop()] = j;
+    stack.push(j);
+  }
+  return out;
+}
+
+// entry i の breakeven（本数）: entry 日から、いったん entry 価格を下回った後に entry 価格以上へ戻るまで
+// 0 = 一度も下回らず / null = 未回復
+// 戻り先は nextUp を辿って探す（飛ばした bar はどれも辿り元より安い = entry 価格未満）
+function breakevenBars(closes, i, nextUp, nextDown) {
+  const below = nextDown[i];
+  if (below === null) return 0;
+  let j = nextUp[below];
+  while (j !== null && closes[j] < closes[i]) j = nextUp[j];
+  return j === null ? null : j - i;
+}
+
+// points: [{date, close}] / years: 保有年数 / periodsPerYear: points の年間本数
+// returns null（horizon に足りない）or {
+//   years, horizon（本数）, count（entry 数）,
+//   entries: [{ date, fwdRet, maxDD, breakeven }]
+//     （breakeven = entry 日から、entry 価格を下回った後に entry 価格以上へ戻るまでの本数。horizon を超えても追う。
+//       0 = 一度も下回らず、null = 未回復）
+//   summary: { fwdRet: {worst,p5,median,p95,best}, annualizedMedian, maxDD: {worst,median},
+//              breakeven: {median,worst,unrecovered}, underwaterShare }
+// }
+export function holdingPeriodOutcomes(points, { years, periodsPerYear }) {
+  const horizon = Math.round(years * periodsPerYear);
+  const n = points.length;
+  if (n <= horizon) return null;
+
+  const closes = points.map((p) => p.close);
+  const nextUp = nextWhere(closes, (a, b) => a >= b);
+  const nextDown = nextWhere(closes, (a, b) => a < b);
+  const entries = [];
+
+  for (let i = 0; i + horizon < n; i++) {
+    let peak = closes[i];
+    let maxDD = 0;
+    for (let k = i + 1; k <= i + horizon; k++) {
+      if (closes[k] > peak) peak = closes[k];
+      else maxDD = Math.min(maxDD, closes[k] / peak - 1);
+    }
+    entries.push({
+      date: points[i].date,
+      fwdRet: closes[i + horizon] / closes[i] - 1,
+      maxDD,
+      breakeven: breakevenBars(closes, i, nextUp, nextDown),
+    });
+  }
+
+  const fwd = entries.map((e) => e.fwdRet);
+  const dds = entries.map((e) => e.maxDD);
+  const recovered = entries.filter((e) => e.breakeven !== null).map((e) => e.breakeven);
+  const medianRet = quantile(fwd, 0.5);
+
+  return {
+    years,
+    horizon,
+    count: entries.length,
+    entries,
+    summary: {
+      fwdRet: {
+        worst: Math.min(...fwd),
+        p5: quantile(fwd, 0.05),
+        median: medianRet,
+        p95: quantile(fwd, 0.95),
+        best: Math.max(...fwd),
+      },
+      annualizedMedian: (1 + medianRet) ** (1 / years) - 1,
+      maxDD: { worst: Math.min(...dds), median: quantile(dds, 0.5) },
+      breakeven: {
+        median: recovered.length ? quantile(recovered, 0.5) : undefined,
+        worst: recovered.length ? Math.max(...recovered) : undefined,
+        unrecovered: entries.length - recovered.length,
+      },
+      underwaterShare: fwd.filter((r) => r < 0).length / fwd.length,
+    },
+  };
+}
+
+// chart 用: [{ date, fwdRet(%), maxDD(%) }]（丸め）
+export function holdingChart(outcome) {
+  return outcome.entries.map((e) => ({
+    date: e.date,
+    fwdRet: round(e.fwdRet * 100, 2),
+    maxDD: round(e.maxDD * 100, 2),
+  }));
+}
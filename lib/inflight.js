@@ -0,0 +1,20 @@
+// web/lib/inflight.js
+//
+// In-flight request coalescing: concurrent callers with the same key share one pending
+// upstream promise instead of each firing its own provider request (which is what trips
+// Yahoo rate limits / our fail cooldowns). The entry is dropped as soon as it settles,
+// so later callers go through the normal cache path again.
+
+// Next dev はホットリロードでモジュールが読み直されることがあるので globalThis に載せる
+const pending = (globalThis.__SIGMORA_INFLIGHT__ ||= new Map());
+
+export function coalesce(key, fn) {
+  const existing = pending.get(key);
+  if (existing) return existing;
+
+  const p = Promise.resolve()
+    .then(fn)
+    .finally(() => pending.delete(key));
+  pending.set(key, p);
+  return p;
+}
@@ -0,0 +1,38 @@
+// web/lib/leverage.js
+//
+// Synthetic daily-rebalanced leveraged / inverse series (like a 2x or -1x ETF) built from the
+// underlying's own period returns: r_lev = L × r − cost / periodsPerYear. Running the result
+// through analyze() next to the unlevered series makes volatility decay and the amplified
+// drawdowns visible. Financing, tracking error and intraday moves are not modelled.
+
+import { frequencyInfo } from "./analyze";
+
+export const LEVERAGE_OPTIONS = [-1, 2, 3];
+// 経費率 + 借入コストの合計（年率、小数）の既定
+export const DEFAULT_LEVERAGE_COST = 0.01;
+
+// "2x" / "-1x" 表記
+export function leverageLabel(leverage) {
+  return `${leverage}x`;
+}
+
+// points: [{date, close}]（日次。週次・月次を渡すとその間隔でのリバランスになる）
+// leverage: 倍率（負 = inverse） / annualCost: 年率コスト（小数）
+// frequency: points の間隔（コストを 1 本あたりに割る）
+// 1 本で -100% 以下になったらその日で 0 に張り付き、以降は打ち切る（wipedOut にその日付）
+// returns { points（初日の close を起点）, wipedOut: date | null }
+export function leveragedPoints(points, { leverage, annualCost = DEFAULT_LEVERAGE_COST, frequency = "1d" }) {
+  const { periodsPerYear } = frequencyInfo(frequency);
+  const cost = annualCost / periodsPerYear;
+  const out = [{ date: points[0].date, close: points[0].close }];
+
+  for (let i = 1; i < points.length; i++) {
+    const r = leverage * (points[i].close / points[i - 1].close - 1) - cost;
+    if (r <= -1) {
+      out.push({ date: points[i].date, close: 0 });
+      return { points: out, wipedOut: points[i].date };
+    }
+    out.push({ date: points[i].date, close: out[i - 1].close * (1 + r) });
+  }
+  return { points: out, wipedOut: null };
+}
@@ -0,0 +1,99 @@
+// web/lib/portfolio.js
+//
+// Portfolio engine: combine aligned price series with target weights and a rebalancing rule
+// into one equity curve, which then goes through analyze() like any single asset.
+// Also attributes each drawdown episode to the assets (who lost how much, peak -> trough).
+
+export const REBALANCE_RULES = {
+  none: "None (buy & hold)",
+  monthly: "Monthly",
+  quarterly: "Quarterly",
+  threshold: "Threshold band",
+};
+
+export const DEFAULT_REBALANCE_BAND = 0.05;
+
+// 月末・四半期末（次の営業日で月/四半期が変わる日）の終値でリバランス
+function isPeriodEnd(date, nextDate, rule) {
+  if (!nextDate) return false;
+  const m = Number(date.slice(5, 7));
+  const nm = Number(nextDate.slice(5, 7));
+  if (rule === "monthly") return m !== nm || date.slice(0, 4) !== nextDate.slice(0, 4);
+  if (rule === "quarterly") {
+    return Math.ceil(m / 3) !== Math.ceil(nm / 3) || date.slice(0, 4) !== nextDate.slice(0, 4);
+  }
+  return false;
+}
+
+// assets: [{ symbol, points: [{date, close}] }]（共通日付で整列済み）
+// weights: assets と同順の正の数（合計で正規化）
+// rule: REBALANCE_RULES のキー / band: threshold 時の許容乖離（絶対値, 0.05 = ±5%pt）
+// returns {
+//   points: [{date, close}]（初期値 100 の portfolio value）,
+//   weights（正規化後の目標）, finalWeights, rebalanceCount,
+//   cumPnl: assets ごとの累積損益（初期値 1 に対する寄与; cumPnl[i][t]）
+// }
+export function buildPortfolio(assets, weights, { rule = "none", band = DEFAULT_REBALANCE_BAND } = {}) {
+  if (!assets.length) throw new Error("Portfolio needs at least one asset");
+  if (assets.length !== weights.length) throw new Error("weights must match assets");
+  if (weights.some((w) => !Number.isFinite(w) || w <= 0)) throw new Error("weights must be positive");
+
+  const total = weights.reduce((s, w) => s + w, 0);
+  const target = weights.map((w) => w / total);
+  const n = assets[0].points.length;
+  if (n < 2) throw new Error("Not enough points");
+
+  const dates = assets[0].points.map((p) => p.date);
+  const holdings = [...target]; // 各資産の保有額（portfolio 初期値 = 1）
+  const cumPnl = assets.map(() => [0]);
+  const values = [1];
+  let rebalanceCount = 0;
+
+  for (let t = 1; t < n; t++) {
+    let v = 0;
+    for (let i = 0; i < assets.length; i++) {
+      const r = assets[i].points[t].close / assets[i].points[t - 1].close - 1;
+      const pnl = holdings[i] * r;
+      holdings[i] += pnl;
+      cumPnl[i].push(cumPnl[i][t - 1] + pnl);
+      v += holdings[i];
+    }
+    values.push(v);
+
+    const drifted =
+      rule === "threshold" && holdings.some((h, i) => Math.abs(h / v - target[i]) > band);
+    if (drifted || isPeriodEnd(dates[t], dates[t + 1], rule)) {
+      for (let i = 0; i < assets.length; i++) holdings[i] = v * target[i];
+      rebalanceCount += 1;
+    }
+  }
+
+  const last = values[n - 1];
+  return {
+    points: dates.map((date, t) => ({ date, close: values[t] * 100 })),
+    values,
+    weights: target,
+    finalWeights: holdings.map((h) => h / last),
+    rebalanceCount,
+    cumPnl,
+  };
+}
+
+// episodes: analyze(portfolio.points).ddEpisodes
+// 各 episode の peak -> trough 間の資産別損益を peak 時点の portfolio value で割った寄与度
+// （リバランスは価値中立なので寄与度の合計 = episode の depth）
+export function attributeDrawdowns(portfolio, assets, episodes) {
+  const indexOf = new Map(portfolio.points.map((p, t) => [p.date, t]));
+  return episodes.map((ep) => {
+    const a = indexOf.get(ep.peakDate);
+    const b = indexOf.get(ep.troughDate);
+    const base = portfolio.values[a];
+    return {
+      ...ep,
+      contributions: assets.map((asset, i) => ({
+        symbol: asset.symbol,
+        contribution: (portfolio.cumPnl[i][b] - portfolio.cumPnl[i][a]) / base,
+      })),
+    };
+  });
+}
@@ -0,0 +1,176 @@
+// web/lib/priceStore.js
+//
+// Persistent per-symbol store of daily bars (file-based JSON, survives restarts).
+//
+// - 初回: provider から range=max の日次バーを 1 回だけ取得して保存
+// - 更新: REFRESH_TTL_MS を過ぎたら最終日の少し前から差分だけ取得して追記
+//         （新しい配当/分割が出たら adjclose・分割調整済み close が遡って変わるので全量取り直し）
+// - 取得失敗時: 保存済みデータがあれば stale として返す（cooldown 中も同様）
+//   cooldown は一時的な失敗（5xx / 429 / network）のときだけ。404 などはそのまま投げる
+// - 同じ銘柄の同時リクエストは 1 本の provider 取得を共有（lib/inflight.js）
+//
+// 保存先: PRICE_STORE_DIR（default ".price-store"、Vercel では書き込める /tmp 配下）
+// file: <dir>/<SYMBOL>.json = { symbol, provider, updatedAt, bars: [{date, close, adjclose?}], events }
+import { mkdir, readFile, rename, writeFile } from "fs/promises";
+import path from "path";
+import { coalesce } from "./inflight";
+import { getProvider, ProviderError } from "./providers";
+
+export const REFRESH_TTL_MS = 10 * 60 * 1000;
+
+// 失敗時の短期クールダウン（同じ銘柄で連打されると provider に負荷がかかるため）
+export const FAIL_COOLDOWN_MS = 30 * 1000;
+
+// 差分取得は最終日の数日前から（最終バーが取引時間中の暫定値だった場合に上書きするため）
+const INCREMENTAL_OVERLAP_DAYS = 7;
+
+// Next dev はホットリロードでモジュールが読み直されることがあるので globalThis に載せる
+const memory = (globalThis.__SIGMORA_PRICE_STORE__ ||= new Map());
+const globalFail = (globalThis.__SIGMORA_PRICE_FAIL__ ||= new Map());
+
+function now() {
+  return Date.now();
+}
+
+function storeDir() {
+  const fallback = process.env.VERCEL ? "/tmp/price-store" : ".price-store";
+  return path.resolve(process.cwd(), process.env.PRICE_STORE_DIR || fallback);
+}
+
+function fileFor(symbol) {
+  const safe = String(symbol).replace(/[^A-Za-z0-9.=^-]/g, "_");
+  return path.join(storeDir(), `${safe}.json`);
+}
+
+function shiftDays(isoDate, days) {
+  const dt = new Date(`${isoDate}T00:00:00Z`);
+  dt.setUTCDate(dt.getUTCDate() + days);
+  return dt.toISOString().slice(0, 10);
+}
+
+async function readRecord(symbol) {
+  if (memory.has(symbol)) return memory.get(symbol);
+  try {
+    const record = JSON.parse(await readFile(fileFor(symbol), "utf8"));
+    memory.set(symbol, record);
+    return record;
+  } catch (e) {
+    // 未保存 / 壊れたファイルは「無し」扱いで取り直す
+    return null;
+  }
+}
+
+async function writeRecord(record) {
+  memory.set(record.symbol, record);
+  try {
+    const file = fileFor(record.symbol);
+    await mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await writeFile(tmp, JSON.stringify(record));
+    await rename(tmp, file);
+  } catch (e) {
+    // read-only FS などでは memory のみで続行
+  }
+}
+
+function mergeBars(oldBars, newBars) {
+  const byDate = new Map(oldBars.map((b) => [b.date, b]));
+  for (const b of newBars) byDate.set(b.date, b);
+  return [...byDate.values()].sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+}
+
+function hasNewEvents(known, fresh) {
+  const dates = (list) => new Set((list || []).map((x) => x.date));
+  const knownDiv = dates(known?.dividends);
+  const knownSplit = dates(known?.splits);
+  return (
+    (fresh?.dividends || []).some((d) => !knownDiv.has(d.date)) ||
+    (fresh?.splits || []).some((x) => !knownSplit.has(x.date))
+  );
+}
+
+// cooldown を掛けるのは一時的な失敗だけ（5xx / 429 / network・parse エラー）
+// 未知の銘柄・fixture 無しなどの 4xx はそのまま返す（cooldown で 429 に化けさせない）
+function isTransientFailure(e) {
+  if (!(e instanceof ProviderError)) return true;
+  return e.status === 429 || e.status >= 500;
+}
+
+function metaOf(record, extra) {
+  return {
+    store_updated_at: new Date(record.updatedAt).toISOString(),
+    first_date: record.bars[0]?.date ?? null,
+    last_date: record.bars[record.bars.length - 1]?.date ?? null,
+    ...extra,
+  };
+}
+
+// returns { record: { symbol, provider, updatedAt, bars, events }, meta }
+// throws ProviderError when nothing is stored and the provider fails / is cooling down
+export async function getDailyHistory(symbol) {
+  const provider = getProvider();
+  const stored = await readRecord(symbol);
+  const usable = stored && stored.provider === provider.name && stored.bars?.length > 0;
+
+  // 1) Fresh enough
+  if (usable && now() - stored.updatedAt < REFRESH_TTL_MS) {
+    return { record: stored, meta: metaOf(stored, { source: "store", refresh: null }) };
+  }
+
+  // 2) Fail cooldown（直近で失敗してたら provider を叩かない）
+  const lastFailTs = globalFail.get(symbol);
+  if (lastFailTs && now() - lastFailTs < FAIL_COOLDOWN_MS) {
+    if (usable) {
+      return { record: stored, meta: metaOf(stored, { source: "store", refresh: null, stale: true }) };
+    }
+    throw new ProviderError(429, {
+      error: "Provider temporarily unavailable (cooldown). Try again shortly.",
+      detail: `cooldown_ms=${FAIL_COOLDOWN_MS}`,
+    });
+  }
+
+  // 3-4) 同時に来た同じ銘柄のリクエストは 1 回の取得を共有し、結果は store に入る
+  return coalesce(`prices:${provider.name}:${symbol}`, () =>
+    refreshHistory(provider, symbol, usable ? stored : null)
+  );
+}
+
+// stored: 差分更新の元になる保存済み record（無ければ null = 全量取得）
+async function refreshHistory(provider, symbol, stored) {
+  try {
+    // 3) Incremental refresh
+    if (stored) {
+      const last = stored.bars[stored.bars.length - 1].date;
+      const fresh = await provider.fetchDailyCloses(symbol, {
+        start: shiftDays(last, -INCREMENTAL_OVERLAP_DAYS),
+        interval: "1d",
+      });
+      if (!hasNewEvents(stored.events, fresh.events)) {
+        const record = { ...stored, updatedAt: now(), bars: mergeBars(stored.bars, fresh.points) };
+        await writeRecord(record);
+        return {
+          record,
+          meta: metaOf(record, { source: provider.name, refresh: "incremental" }),
+        };
+      }
+    }
+
+    // 4) Full history
+    const full = await provider.fetchDailyCloses(symbol, { range: "max", interval: "1d" });
+    const record = {
+      symbol,
+      provider: provider.name,
+      updatedAt: now(),
+      bars: full.points,
+      events: full.events,
+    };
+    if (record.bars.length) await writeRecord(record);
+    return { record, meta: metaOf(record, { source: provider.name, refresh: "full" }) };
+  } catch (e) {
+    if (isTransientFailure(e)) globalFail.set(symbol, now());
+    if (stored) {
+      return { record: stored, meta: metaOf(stored, { source: "store", refresh: null, stale: true }) };
+    }
+    throw e;
+  }
+}
@@ -0,0 +1,217 @@
+// web/lib/prices.js
+//
+// Daily / weekly / monthly closes for any period, sliced locally from the persistent
+// per-symbol store (lib/priceStore.js). Shared by /api/prices and /api/analyze so both
+// routes see the same data.
+import { resamplePoints } from "./analyze";
+import { getDailyHistory } from "./priceStore";
+import { ProviderError } from "./providers";
+
+export function normalizeSymbol(raw) {
+  return String(raw || "").trim().toUpperCase();
+}
+
+export function normalizePeriod(raw) {
+  return String(raw || "5Y").trim().toUpperCase();
+}
+
+// Yahoo chart API の interval（lib/analyze.js の FREQUENCIES と同じキー）
+export const INTERVALS = ["1d", "1wk", "1mo"];
+
+export function normalizeInterval(raw) {
+  const i = String(raw || "1d").trim().toLowerCase();
+  return INTERVALS.includes(i) ? i : null;
+}
+
+// adjust=price: raw close（Yahoo chart の close は split 調整済み）
+// adjust=total: 配当再投資ベースの total-return series
+export const ADJUST_MODES = ["price", "total"];
+
+export function normalizeAdjust(raw) {
+  const a = String(raw || "price").trim().toLowerCase();
+  return ADJUST_MODES.includes(a) ? a : null;
+}
+
+// 表示通貨。元系列は USD 建て前提（US 上場銘柄）なので USD = 換算なし
+// 換算には Yahoo の FX シンボル USD<CCY>=X（silver-premium.js の USDCNY=X と同じ）を使う
+export const NATIVE_CURRENCY = "USD";
+
+// "" = 換算なし（native）, null = 不正, それ以外は 3 文字の通貨コード
+export function normalizeCurrency(raw) {
+  const c = String(raw ?? "").trim().toUpperCase();
+  if (!c || c === NATIVE_CURRENCY) return "";
+  return /^[A-Z]{3}$/.test(c) ? c : null;
+}
+
+export function fxSymbolFor(currency) {
+  return `${NATIVE_CURRENCY}${currency}=X`;
+}
+
+// 各営業日の close に「その日以前で直近の FX レート」を掛ける（FX 休場日は前営業日を forward-fill）
+// FX 系列の開始前の日付は換算できないので落とす
+// returns { points, filled, dropped }
+function convertWithFx(points, fxBars) {
+  const out = [];
+  let j = -1;
+  let filled = 0;
+  let dropped = 0;
+  for (const p of points) {
+    while (j + 1 < fxBars.length && fxBars[j + 1].date <= p.date) j += 1;
+    if (j < 0) {
+      dropped += 1;
+      continue;
+    }
+    if (fxBars[j].date !== p.date) filled += 1;
+    out.push({ date: p.date, close: p.close * fxBars[j].close });
+  }
+  return { points: out, filled, dropped };
+}
+
+// adjclose が無い場合の fallback：権利落ち日に (close + 配当) / 前日 close で再投資
+// 最終日の値が close と一致するようにスケール（Yahoo adjclose と同じ流儀）
+function buildTotalReturnFromDividends(points, dividends) {
+  const divByDate = new Map();
+  for (const d of dividends) divByDate.set(d.date, (divByDate.get(d.date) || 0) + d.amount);
+
+  const tr = [points[0].close];
+  for (let i = 1; i < points.length; i++) {
+    const div = divByDate.get(points[i].date) || 0;
+    tr.push(tr[i - 1] * ((points[i].close + div) / points[i - 1].close));
+  }
+  const scale = points[points.length - 1].close / tr[tr.length - 1];
+  return points.map((p, i) => ({ date: p.date, close: tr[i] * scale }));
+}
+
+// "" = 未指定, null = 不正, それ以外は検証済みの "YYYY-MM-DD"
+export function normalizeDateParam(raw) {
+  const s = String(raw ?? "").trim();
+  if (!s) return "";
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(s);
+  if (!m) return null;
+  const dt = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+  return dt.toISOString().slice(0, 10) === s ? s : null;
+}
+
+// req.query -> { start, end } or { error }
+export function parseDateWindow(query) {
+  const start = normalizeDateParam(query?.start);
+  const end = normalizeDateParam(query?.end);
+  if (start === null || end === null) return { error: "start/end must be YYYY-MM-DD" };
+  if (start && end && start > end) return { error: "start must be on or before end" };
+  return { start, end };
+}
+
+// period -> 最終バーから遡った開始日（MAX / 不明は全期間）
+function periodStart(period, lastDate) {
+  const years = { "1Y": 1, "3Y": 3, "5Y": 5 }[period];
+  if (!years) return "";
+  const dt = new Date(`${lastDate}T00:00:00Z`);
+  dt.setUTCFullYear(dt.getUTCFullYear() - years);
+  return dt.toISOString().slice(0, 10);
+}
+
+// returns { points: Array<{date, close}>, events, meta }
+// adjust=total の場合 points[].close は total-return 調整済みの値
+// start/end（"YYYY-MM-DD"、どちらか片方でも可）を渡すと period より優先
+// interval: "1d" | "1wk" | "1mo"
+// currency: normalizeCurrency() の値。指定時は日次のまま FX 換算してから間引き、
+//           nativePoints（換算前・同じ日付）も返す
+// throws ProviderError (status + JSON body) on cooldown / provider errors
+export async function loadPricePoints(
+  symbol,
+  period,
+  { adjust = "price", start = "", end = "", interval = "1d", currency = "" } = {}
+) {
+  const fxSymbol = currency ? fxSymbolFor(currency) : null;
+  const [{ record, meta }, fx] = await Promise.all([
+    getDailyHistory(symbol),
+    fxSymbol ? getDailyHistory(fxSymbol) : null,
+  ]);
+  const bars = record.bars;
+  if (!bars.length) {
+    throw new ProviderError(400, { error: "Not enough data points", symbol, period, count: 0 });
+  }
+
+  // 1) Slice the requested window locally
+  const from = start || end ? start : periodStart(period, bars[bars.length - 1]?.date);
+  const inWindow = (d) => (!from || d >= from) && (!end || d <= end);
+  const daily = bars.filter((b) => inWindow(b.date));
+  const events = {
+    dividends: (record.events?.dividends || []).filter((d) => inWindow(d.date)),
+    splits: (record.events?.splits || []).filter((x) => inWindow(x.date)),
+  };
+
+  if (daily.length < 2) {
+    throw new ProviderError(400, {
+      error: "Not enough data points",
+      symbol,
+      period,
+      interval,
+      range: start || end ? `${start || "…"}..${end || "…"}` : period,
+      count: daily.length,
+    });
+  }
+
+  // 2) total-return: adjclose が全日そろっていればそれを使い、無ければ配当から再構成
+  //    （配当日は日次なので、間引く前の日次で組み立てる）
+  const points = daily.map((b) => ({ date: b.date, close: b.close }));
+  const useAdjclose = daily.every((b) => Number.isFinite(b.adjclose));
+  const totalPoints = useAdjclose
+    ? daily.map((b) => ({ date: b.date, close: b.adjclose }))
+    : buildTotalReturnFromDividends(points, events.dividends);
+  const total = adjust === "total";
+  const series = total ? totalPoints : points;
+
+  // 3) Base-currency conversion (daily, before resampling)
+  let converted = null;
+  if (fx) {
+    converted = convertWithFx(series, fx.record.bars);
+    if (converted.points.length < 2) {
+      throw new ProviderError(400, {
+        error: `Not enough ${fxSymbol} data to convert`,
+        symbol,
+        currency,
+        fx_first_date: fx.meta.first_date,
+      });
+    }
+  }
+
+  // 4) Resample to the requested interval
+  const out = resamplePoints(converted ? converted.points : series, interval);
+  if (out.length < 2) {
+    throw new ProviderError(400, {
+      error: "Not enough data points",
+      symbol,
+      period,
+      interval,
+      count: out.length,
+    });
+  }
+
+  // 換算前の系列も同じ日付にそろえて返す（native との並列表示用）
+  let nativePoints = null;
+  if (converted) {
+    const dates = new Set(out.map((p) => p.date));
+    nativePoints = series.filter((p) => dates.has(p.date));
+  }
+
+  return {
+    points: out,
+    nativePoints,
+    events,
+    meta: {
+      ...meta,
+      adjust,
+      adjust_method: total ? (useAdjclose ? "adjclose" : "dividends") : "none",
+      currency: currency || NATIVE_CURRENCY,
+      fx: converted
+        ? {
+            symbol: fxSymbol,
+            forward_filled: converted.filled,
+            dropped_before_fx: converted.dropped,
+            store_updated_at: fx.meta.store_updated_at,
+          }
+        : null,
+    },
+  };
+}
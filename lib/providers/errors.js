@@ -0,0 +1,11 @@
+// web/lib/providers/errors.js
+
+// route handler がそのまま res.status(status).json(body) できる形で投げる
+export class ProviderError extends Error {
+  constructor(status, body) {
+    super(body?.error || `Provider request failed (${status})`);
+    this.name = "ProviderError";
+    this.status = status;
+    this.body = body;
+  }
+}
@@ -0,0 +1,38 @@
+// web/lib/providers/index.js
+//
+// Market-data provider layer. Route handlers talk to getProvider() only, never to a vendor directly.
+//
+// Select the backend with PRICE_PROVIDER:
+//   yahoo (default) — Yahoo Finance
+//   local           — CSV/JSON fixtures under PRICE_FIXTURE_DIR (default "./fixtures"), for offline demos
+//
+// Every provider implements:
+//   name
+//   fetchDailyCloses(symbol, { range, start, end, interval })
+//     -> { points: [{date, close, adjclose?}] (sorted), events: { dividends, splits } }
+//     range は Yahoo 形式（"1y", "6mo", "max" ...）。start/end（YYYY-MM-DD）があればそちらを優先
+//   fetchQuote(symbol)
+//     -> { symbol, shortName, regularMarketPrice, regularMarketTime, currency }
+//   fetchOptionChain(symbol, { expiration })      // expiration: unix 秒, 省略時は直近限月
+//     -> { quote, expirations: [unix], expiration, calls: [...], puts: [...] }
+// Failures are thrown as ProviderError(status, body).
+import * as local from "./local";
+import * as yahoo from "./yahoo";
+
+export { ProviderError } from "./errors";
+
+const PROVIDERS = {
+  yahoo: { name: "yahoo", ...yahoo },
+  local: { name: "local", ...local },
+};
+
+export function getProvider() {
+  const key = String(process.env.PRICE_PROVIDER || "yahoo").trim().toLowerCase();
+  const provider = PROVIDERS[key];
+  if (!provider) {
+    throw new Error(
+      `Unknown PRICE_PROVIDER "${key}" (expected one of: ${Object.keys(PROVIDERS).join(", ")})`
+    );
+  }
+  return provider;
+}
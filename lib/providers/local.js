@@ -0,0 +1,148 @@
+// web/lib/providers/local.js
+//
+// Offline backend: reads fixtures from a local directory (PRICE_FIXTURE_DIR, default "./fixtures").
+// The repo ships synthetic fixtures for the symbols the UI uses by default (see README.md).
+//
+//   prices/<SYMBOL>.csv    date,close[,adjclose]（日次）
+//   prices/<SYMBOL>.json   { points: [{date, close, adjclose?}], events?: { dividends, splits } }
+//   quotes/<SYMBOL>.json   { symbol, shortName, regularMarketPrice, regularMarketTime, currency }（任意）
+//   options/<SYMBOL>.json  { quote?, chains: [{ expiration, calls: [...], puts: [...] }] }
+//
+// <SYMBOL> は英数字と . = ^ - 以外を "_" に置換したもの（例: USDCNY=X.csv）。
+// range / start / end / interval は読み込んだ日次データをローカルで切り出し・間引きして再現する。
+import { readFile } from "fs/promises";
+import path from "path";
+import Papa from "papaparse";
+import { resamplePoints } from "../analyze";
+import { ProviderError } from "./errors";
+
+function fixtureDir() {
+  return path.resolve(process.cwd(), process.env.PRICE_FIXTURE_DIR || "fixtures");
+}
+
+function fileFor(kind, symbol, ext) {
+  const safe = String(symbol).replace(/[^A-Za-z0-9.=^-]/g, "_");
+  return path.join(fixtureDir(), kind, `${safe}.${ext}`);
+}
+
+// 存在しなければ null
+async function readText(file) {
+  try {
+    return await readFile(file, "utf8");
+  } catch (e) {
+    if (e?.code === "ENOENT") return null;
+    throw e;
+  }
+}
+
+async function readJson(file) {
+  const text = await readText(file);
+  if (text === null) return null;
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new ProviderError(500, { error: `Invalid JSON fixture: ${path.basename(file)}` });
+  }
+}
+
+function byDate(a, b) {
+  return a.date < b.date ? -1 : a.date > b.date ? 1 : 0;
+}
+
+function cleanPoints(rows) {
+  const out = [];
+  for (const row of rows || []) {
+    const date = String(row?.date ?? "").slice(0, 10);
+    const close = Number(row?.close);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !Number.isFinite(close)) continue;
+    const adjclose = Number(row?.adjclose ?? row?.adjClose);
+    out.push(Number.isFinite(adjclose) ? { date, close, adjclose } : { date, close });
+  }
+  return out.sort(byDate);
+}
+
+async function loadSeries(symbol) {
+  const csv = await readText(fileFor("prices", symbol, "csv"));
+  if (csv !== null) {
+    const parsed = Papa.parse(csv, { header: true, skipEmptyLines: "greedy" });
+    return { points: cleanPoints(parsed.data), events: { dividends: [], splits: [] } };
+  }
+
+  const json = await readJson(fileFor("prices", symbol, "json"));
+  if (json !== null) {
+    return {
+      points: cleanPoints(json.points),
+      events: {
+        dividends: json.events?.dividends || [],
+        splits: json.events?.splits || [],
+      },
+    };
+  }
+
+  throw new ProviderError(404, {
+    error: `No local fixture for ${symbol}`,
+    detail: `looked for prices/${path.basename(fileFor("prices", symbol, "csv"))} (or .json) in ${fixtureDir()}`,
+  });
+}
+
+// Yahoo 形式の range（"1y", "6mo", "max" ...）を、最終日から遡った開始日に変換
+function rangeStart(range, lastDate) {
+  const m = /^(\d+)(d|wk|mo|y)$/.exec(String(range || "max"));
+  if (!m) return "";
+  const n = Number(m[1]);
+  const dt = new Date(`${lastDate}T00:00:00Z`);
+  if (m[2] === "d") dt.setUTCDate(dt.getUTCDate() - n);
+  if (m[2] === "wk") dt.setUTCDate(dt.getUTCDate() - 7 * n);
+  if (m[2] === "mo") dt.setUTCMonth(dt.getUTCMonth() - n);
+  if (m[2] === "y") dt.setUTCFullYear(dt.getUTCFullYear() - n);
+  return dt.toISOString().slice(0, 10);
+}
+
+export async function fetchDailyCloses(symbol, { range, start = "", end = "", interval = "1d" } = {}) {
+  const { points: all, events } = await loadSeries(symbol);
+  if (!all.length) return { points: [], events };
+
+  const from = start || end ? start : rangeStart(range, all[all.length - 1].date);
+  const inWindow = (d) => (!from || d >= from) && (!end || d <= end);
+
+  return {
+    points: resamplePoints(all.filter((p) => inWindow(p.date)), interval),
+    events: {
+      dividends: events.dividends.filter((d) => inWindow(d.date)),
+      splits: events.splits.filter((x) => inWindow(x.date)),
+    },
+  };
+}
+
+export async function fetchQuote(symbol) {
+  const quote = await readJson(fileFor("quotes", symbol, "json"));
+  if (quote) return { symbol, ...quote };
+
+  // quotes/ が無ければ価格 fixture の最終 close を使う
+  const { points } = await loadSeries(symbol);
+  const last = points[points.length - 1];
+  return {
+    symbol,
+    shortName: null,
+    regularMarketPrice: last ? last.close : null,
+    regularMarketTime: last ? Date.parse(`${last.date}T00:00:00Z`) / 1000 : null,
+    currency: null,
+  };
+}
+
+export async function fetchOptionChain(symbol, { expiration = null } = {}) {
+  const json = await readJson(fileFor("options", symbol, "json"));
+  if (!json) throw new ProviderError(404, { error: `No local option fixture for ${symbol}` });
+
+  const chains = Array.isArray(json.chains) ? json.chains : [];
+  const expirations = chains.map((c) => Number(c.expiration)).filter(Number.isFinite);
+  const chain = chains.find((c) => Number(c.expiration) === Number(expiration)) || chains[0] || null;
+
+  return {
+    quote: json.quote || null,
+    expirations,
+    expiration: chain ? Number(chain.expiration) : null,
+    calls: chain?.calls || [],
+    puts: chain?.puts || [],
+  };
+}
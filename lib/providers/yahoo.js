@@ -0,0 +1,202 @@
+// web/lib/providers/yahoo.js
+//
+// Yahoo Finance backend (no API key).
+// - closes / quote: v8 chart API
+// - option chain : yahoo-finance2（crumb / cookie の取得を任せる）
+import YahooFinance from "yahoo-finance2";
+import { ProviderError } from "./errors";
+
+const HEADERS = {
+  "User-Agent":
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123 Safari/537.36",
+  Accept: "application/json,text/plain,*/*",
+};
+
+let yahooFinance = null;
+
+// v2/v3: instantiate client (prevents "Call `const yahooFinance = new YahooFinance()` first.")
+function client() {
+  if (!yahooFinance) {
+    yahooFinance = new YahooFinance({
+      headers: { ...HEADERS, "Accept-Language": "en-US,en;q=0.9,ja;q=0.8" },
+    });
+  }
+  return yahooFinance;
+}
+
+function tsToISODate(ts) {
+  return new Date(ts * 1000).toISOString().slice(0, 10);
+}
+
+function byDate(a, b) {
+  return a.date < b.date ? -1 : a.date > b.date ? 1 : 0;
+}
+
+// Date | number(unix 秒) -> unix 秒
+function toUnix(x) {
+  if (x instanceof Date) return Math.floor(x.getTime() / 1000);
+  const n = Number(x);
+  return Number.isFinite(n) ? n : null;
+}
+
+// range=... の代わりに period1/period2（unix 秒）で期間指定
+// end は当日を含めるため翌日 00:00 UTC まで
+function windowToQuery(range, start, end) {
+  if (!start && !end) return `range=${encodeURIComponent(range || "max")}`;
+  const p1 = start ? Date.parse(`${start}T00:00:00Z`) / 1000 : 0;
+  const p2 = end ? Date.parse(`${end}T00:00:00Z`) / 1000 + 86400 : Math.floor(Date.now() / 1000);
+  return `period1=${p1}&period2=${p2}`;
+}
+
+async function fetchChart(symbol, query) {
+  const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(
+    symbol
+  )}?${query}`;
+
+  const r = await fetch(url, { headers: HEADERS });
+  const text = await r.text();
+
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (e) {
+    throw new ProviderError(502, {
+      error: "Non-JSON response from Yahoo Finance",
+      preview: text.slice(0, 200),
+    });
+  }
+
+  const err0 = json?.chart?.error;
+  const result0 = json?.chart?.result?.[0];
+
+  if (err0) {
+    throw new ProviderError(400, {
+      error: "Yahoo Finance returned an error",
+      detail: err0,
+    });
+  }
+
+  if (!result0) {
+    throw new ProviderError(502, {
+      error: "Unexpected Yahoo Finance format (missing chart.result[0])",
+      rawKeys: Object.keys(json?.chart || {}),
+    });
+  }
+
+  return result0;
+}
+
+// chart.result[0].events -> { dividends: [{date, amount}], splits: [{date, numerator, denominator, ratio}] }
+function parseEvents(events) {
+  const dividends = Object.values(events?.dividends || {})
+    .filter((d) => Number.isFinite(d?.date) && Number.isFinite(d?.amount))
+    .map((d) => ({ date: tsToISODate(d.date), amount: Number(d.amount) }))
+    .sort(byDate);
+  const splits = Object.values(events?.splits || {})
+    .filter((x) => Number.isFinite(x?.date) && x?.numerator > 0 && x?.denominator > 0)
+    .map((x) => ({
+      date: tsToISODate(x.date),
+      numerator: Number(x.numerator),
+      denominator: Number(x.denominator),
+      ratio: x.splitRatio || `${x.numerator}:${x.denominator}`,
+    }))
+    .sort(byDate);
+  return { dividends, splits };
+}
+
+export async function fetchDailyCloses(symbol, { range, start = "", end = "", interval = "1d" } = {}) {
+  const result0 = await fetchChart(
+    symbol,
+    `${windowToQuery(range, start, end)}&interval=${encodeURIComponent(interval)}&events=div%2Csplits`
+  );
+
+  const timestamps = result0.timestamp;
+  const closes = result0.indicators?.quote?.[0]?.close;
+  const adjcloses = result0.indicators?.adjclose?.[0]?.adjclose;
+
+  if (!Array.isArray(timestamps) || !Array.isArray(closes)) {
+    throw new ProviderError(502, {
+      error: "Unexpected Yahoo Finance format (missing timestamp/close arrays)",
+    });
+  }
+
+  const points = [];
+  for (let i = 0; i < timestamps.length; i++) {
+    const ts = timestamps[i];
+    const c = closes[i];
+    if (!Number.isFinite(ts)) continue;
+    if (!Number.isFinite(c)) continue;
+
+    const date = tsToISODate(ts);
+    if ((start && date < start) || (end && date > end)) continue;
+
+    const ac = Array.isArray(adjcloses) ? adjcloses[i] : undefined;
+    points.push(
+      Number.isFinite(ac) ? { date, close: Number(c), adjclose: Number(ac) } : { date, close: Number(c) }
+    );
+  }
+  points.sort(byDate);
+
+  return { points, events: parseEvents(result0.events) };
+}
+
+export async function fetchQuote(symbol) {
+  const result0 = await fetchChart(symbol, "range=1d&interval=1d");
+  const m = result0.meta || {};
+  return {
+    symbol: m.symbol ?? symbol,
+    shortName: m.shortName ?? m.longName ?? null,
+    regularMarketPrice: Number.isFinite(m.regularMarketPrice) ? m.regularMarketPrice : null,
+    regularMarketTime: Number.isFinite(m.regularMarketTime) ? m.regularMarketTime : null,
+    currency: m.currency ?? null,
+  };
+}
+
+function normalizeContract(c) {
+  return {
+    contractSymbol: c.contractSymbol ?? null,
+    strike: c.strike ?? null,
+    currency: c.currency ?? null,
+    lastPrice: c.lastPrice ?? null,
+    bid: c.bid ?? null,
+    ask: c.ask ?? null,
+    change: c.change ?? null,
+    percentChange: c.percentChange ?? null,
+    volume: c.volume ?? null,
+    openInterest: c.openInterest ?? null,
+    impliedVolatility: c.impliedVolatility ?? null, // decimal (e.g., 0.45)
+    inTheMoney: !!c.inTheMoney,
+    expiration: toUnix(c.expiration),
+    contractSize: c.contractSize ?? null,
+    lastTradeDate: toUnix(c.lastTradeDate),
+  };
+}
+
+// expiration: unix 秒（省略時は直近限月）
+export async function fetchOptionChain(symbol, { expiration = null } = {}) {
+  const raw = expiration
+    ? await client().options(symbol, { date: expiration })
+    : await client().options(symbol);
+
+  const q = raw?.quote || null;
+  const block = Array.isArray(raw?.options) && raw.options.length > 0 ? raw.options[0] : null;
+  const expirations = Array.isArray(raw?.expirationDates)
+    ? raw.expirationDates.map(toUnix).filter((x) => x != null)
+    : [];
+
+  return {
+    quote: q
+      ? {
+          symbol: q.symbol ?? symbol,
+          shortName: q.shortName ?? q.longName ?? null,
+          regularMarketPrice: q.regularMarketPrice ?? null,
+          regularMarketTime: toUnix(q.regularMarketTime),
+          currency: q.currency ?? null,
+        }
+      : null,
+    expirations,
+    expiration: toUnix(block?.expirationDate) ?? expirations[0] ?? null,
+    calls: (block?.calls || []).map(normalizeContract),
+    puts: (block?.puts || []).map(normalizeContract),
+  };
+}
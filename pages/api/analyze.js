@@ -0,0 +1,209 @@
+// web/pages/api/analyze.js
+//
+// GET  /api/analyze?symbol=GLD&period=5Y   -> fetch prices (same cache as /api/prices) and analyze
+// POST /api/analyze  { points: [{date, close}, ...], label? }  -> analyze raw points
+//
+// Options (query for GET, body for POST):
+// - ddThreshold: decimal (e.g. 0.2) — list drawdown episodes at least this deep (default 0.1)
+// - adjust (GET only): price | total — same as /api/prices
+// - start / end (GET only): YYYY-MM-DD window, overrides period — same as /api/prices
+// - interval: 1d | 1wk | 1mo — bar frequency (GET: fetched at this interval; POST: frequency of the points)
+// - benchmark (GET): symbol fetched with the same options, e.g. SPY
+//   benchmarkPoints (POST): [{date, close}, ...] in the same shape as points
+//   -> adds `benchmark` (beta, correlation, tracking error, capture, relative DD; lib/benchmark.js)
+// - currency (GET only): e.g. JPY — converts closes (and the benchmark) with USD<CCY>=X before analyzing;
+//   `native` then holds the same analysis on the unconverted USD series
+// - painModel: default | conservative | long-horizon (Pain Score preset, lib/analyze.js PAIN_PRESETS)
+//   painWeights: "55,30,15" (depth,length,jitter %) / painRefs: "60,252,3" (MaxDD %, DD days, daily vol %)
+//   -> override the preset; result.painModel echoes the resolved model
+// - topN: rows in worstDays and result.extremes (best days, worst/best weeks & months), default 10
+// - rollingWindow: bars per window for extremes.worstRolling (non-overlapping), default 10
+//
+// Returns the same analyze() result the home page renders (lib/analyze.js), including the
+// year-level figures: worstCalendarYear { year, ret } (complete calendar years only),
+// worstRolling12m { start, end, ret } and calendar[] rows { year, months, total, maxDD, vol, partial }.
+import {
+  analyze,
+  DEFAULT_EPISODE_THRESHOLD,
+  DEFAULT_ROLLING_WINDOW,
+  DEFAULT_TOP_N,
+  parsePainModel,
+} from "../../lib/analyze";
+import { compareToBenchmark } from "../../lib/benchmark";
+import {
+  loadPricePoints,
+  normalizeAdjust,
+  normalizeCurrency,
+  normalizeInterval,
+  normalizePeriod,
+  normalizeSymbol,
+  parseDateWindow,
+} from "../../lib/prices";
+import { ProviderError } from "../../lib/providers";
+
+export const config = {
+  api: { bodyParser: { sizeLimit: "4mb" } },
+};
+
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Returns { value } or { error }.
+function parseEpisodeThreshold(raw) {
+  if (raw === undefined || raw === null || raw === "") return { value: DEFAULT_EPISODE_THRESHOLD };
+  const v = Number(raw);
+  if (!Number.isFinite(v) || v <= 0 || v >= 1) {
+    return { error: "ddThreshold must be a decimal between 0 and 1 (e.g. 0.2)" };
+  }
+  return { value: v };
+}
+
+const MAX_TOP_N = 100;
+const MAX_ROLLING_WINDOW = 756;
+
+// Integer option in [1, max]. Returns { value } or { error }.
+function parseCount(raw, name, fallback, max) {
+  if (raw === undefined || raw === null || raw === "") return { value: fallback };
+  const v = Number(raw);
+  if (!Number.isInteger(v) || v < 1 || v > max) {
+    return { error: `${name} must be an integer between 1 and ${max}` };
+  }
+  return { value: v };
+}
+
+// Shared option parsing for GET (query) and POST (body). Returns { value: options } or { error }.
+function parseAnalyzeOptions(src, frequency) {
+  const threshold = parseEpisodeThreshold(src.ddThreshold);
+  if (threshold.error) return threshold;
+  const pain = parsePainModel({ preset: src.painModel, weights: src.painWeights, refs: src.painRefs });
+  if (pain.error) return pain;
+  const topN = parseCount(src.topN, "topN", DEFAULT_TOP_N, MAX_TOP_N);
+  if (topN.error) return topN;
+  const rollingWindow = parseCount(src.rollingWindow, "rollingWindow", DEFAULT_ROLLING_WINDOW, MAX_ROLLING_WINDOW);
+  if (rollingWindow.error) return rollingWindow;
+  return {
+    value: {
+      episodeThreshold: threshold.value,
+      frequency,
+      painModel: pain.value,
+      topN: topN.value,
+      rollingWindow: rollingWindow.value,
+    },
+  };
+}
+
+// Benchmark metrics, or { error } when the two series barely overlap (reported, not a 4xx/5xx).
+function benchmarkResult(symbol, points, benchPoints, options) {
+  try {
+    return { symbol, ...compareToBenchmark(points, benchPoints, options) };
+  } catch (e) {
+    return { symbol, error: e.message };
+  }
+}
+
+// Validate + sort POSTed points. Returns { points } or { error }.
+function normalizePoints(raw, field = "points") {
+  if (!Array.isArray(raw)) return { error: `${field} must be an array of {date, close}` };
+
+  const byDate = new Map();
+  for (let i = 0; i < raw.length; i++) {
+    const p = raw[i];
+    const date = String(p?.date ?? "").slice(0, 10);
+    const close = Number(p?.close);
+    if (!ISO_DATE_RE.test(date)) return { error: `${field}[${i}].date must be YYYY-MM-DD` };
+    if (!Number.isFinite(close) || close <= 0) {
+      return { error: `${field}[${i}].close must be a positive number` };
+    }
+    byDate.set(date, close);
+  }
+
+  const points = [...byDate.entries()]
+    .map(([date, close]) => ({ date, close }))
+    .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+
+  if (points.length < 2) return { error: `Not enough ${field} (need >= 2 distinct dates)` };
+  return { points };
+}
+
+export default async function handler(req, res) {
+  try {
+    if (req.method === "POST") {
+      const body = req.body || {};
+      const { points, error } = normalizePoints(body.points);
+      if (error) return res.status(400).json({ error });
+      const interval = normalizeInterval(body.interval);
+      if (!interval) return res.status(400).json({ error: "interval must be 1d, 1wk or 1mo" });
+      const parsed = parseAnalyzeOptions(body, interval);
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+      const options = parsed.value;
+      let benchPoints = null;
+      if (body.benchmarkPoints !== undefined && body.benchmarkPoints !== null) {
+        const bench = normalizePoints(body.benchmarkPoints, "benchmarkPoints");
+        if (bench.error) return res.status(400).json({ error: bench.error });
+        benchPoints = bench.points;
+      }
+
+      return res.status(200).json({
+        label: body.label ? String(body.label) : null,
+        interval,
+        count: points.length,
+        start: points[0].date,
+        end: points[points.length - 1].date,
+        result: analyze(points, options),
+        benchmark: benchPoints
+          ? benchmarkResult(
+              body.benchmarkLabel ? String(body.benchmarkLabel) : null,
+              points,
+              benchPoints,
+              options
+            )
+          : null,
+      });
+    }
+
+    if (req.method !== "GET") {
+      res.setHeader("Allow", "GET, POST");
+      return res.status(405).json({ error: "Method Not Allowed" });
+    }
+
+    const symbol = normalizeSymbol(req.query.symbol);
+    const period = normalizePeriod(req.query.period);
+    const adjust = normalizeAdjust(req.query.adjust);
+    const interval = normalizeInterval(req.query.interval);
+    const currency = normalizeCurrency(req.query.currency);
+    const benchmark = normalizeSymbol(req.query.benchmark);
+
+    if (!symbol) return res.status(400).json({ error: "symbol is required" });
+    if (!adjust) return res.status(400).json({ error: "adjust must be price or total" });
+    if (!interval) return res.status(400).json({ error: "interval must be 1d, 1wk or 1mo" });
+    if (currency === null) return res.status(400).json({ error: "currency must be a 3-letter code (e.g. JPY)" });
+    const { start, end, error: windowError } = parseDateWindow(req.query);
+    if (windowError) return res.status(400).json({ error: windowError });
+    const parsed = parseAnalyzeOptions(req.query, interval);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const options = parsed.value;
+
+    const loadOptions = { adjust, start, end, interval, currency };
+    const [{ points, nativePoints, meta }, bench] = await Promise.all([
+      loadPricePoints(symbol, period, loadOptions),
+      benchmark ? loadPricePoints(benchmark, period, loadOptions) : null,
+    ]);
+
+    return res.status(200).json({
+      symbol,
+      period,
+      interval,
+      adjust,
+      count: points.length,
+      start: points[0].date,
+      end: points[points.length - 1].date,
+      currency: meta.currency,
+      result: analyze(points, options),
+      native: nativePoints ? analyze(nativePoints, options) : null,
+      benchmark: bench ? benchmarkResult(benchmark, points, bench.points, options) : null,
+      meta,
+    });
+  } catch (e) {
+    if (e instanceof ProviderError) return res.status(e.status).json(e.body);
+    return res.status(500).json({ error: String(e) });
+  }
+}
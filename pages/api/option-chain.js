@@ -1,39 +1,27 @@
+// web/pages/api/option-chain.js
+// Farthest expiration (LEAPS) chain via lib/providers.
+import { getProvider } from "../../lib/providers";
+
 export default async function handler(req, res) {
   try {
     const ticker = String(req.query.ticker || "").trim().toUpperCase();
     if (!ticker) return res.status(400).json({ ok: false, error: "ticker is required (?ticker=AAPL)" });
 
-    async function fetchJson(url) {
-      const r = await fetch(url, { headers: { "User-Agent": "Mozilla/5.0" } });
-      if (!r.ok) {
-        const txt = await r.text().catch(() => "");
-        throw new Error(`HTTP ${r.status}: ${txt.slice(0, 200)}`);
-      }
-      return await r.json();
-    }
-
-    const base = `https://query2.finance.yahoo.com/v7/finance/options/${encodeURIComponent(ticker)}`;
-    const j1 = await fetchJson(base);
-    const r1 = j1?.optionChain?.result?.[0];
-    if (!r1) throw new Error("Yahoo options: no result");
+    const provider = getProvider();
+    const first = await provider.fetchOptionChain(ticker);
 
-    const expirations = r1.expirationDates || [];
-    if (!expirations.length) throw new Error("Yahoo options: no expirationDates");
+    const expirations = first.expirations || [];
+    if (!expirations.length) throw new Error("Options: no expirationDates");
 
     const exp = expirations[expirations.length - 1];
 
-    const j2 = await fetchJson(`${base}?date=${exp}`);
-    const r2 = j2?.optionChain?.result?.[0];
-    if (!r2) throw new Error("Yahoo options(date): no result");
-
-    const q = r2.quote || {};
-    const chain = r2.options?.[0] || {};
+    const chain = await provider.fetchOptionChain(ticker, { expiration: exp });
 
     return res.status(200).json({
       ok: true,
-      source: "yahoo",
+      source: provider.name,
       ticker,
-      quote: q,
+      quote: chain.quote || first.quote || {},
       expiration: exp,
       expirations,
       calls: chain.calls || [],
@@ -43,5 +31,3 @@ export default async function handler(req, res) {
     return res.status(500).json({ ok: false, error: String(e?.message || e) });
   }
 }
-
-
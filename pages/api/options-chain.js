@@ -1,5 +1,6 @@
 ﻿// web/pages/api/options-chain.js
-import YahooFinance from "yahoo-finance2";
+import { coalesce } from "../../lib/inflight";
+import { getProvider } from "../../lib/providers";
 
 // ---- simple memory cache (best-effort on serverless) ----
 const CACHE = globalThis.__OPTIONS_CHAIN_CACHE__ || new Map();
@@ -42,29 +43,32 @@ function normalizeOptionRow(r, expiry) {
   };
 }
 
-async function fetchOptions(symbol, date) {
-  // yahoo-finance2 options endpoint
-  // date: unix seconds or undefined
-  const queryOptions = {
-    // reduce chance of being blocked
-    // yahoo-finance2 supports "headers" via module options in many environments.
-    // Some versions accept it per-call. We'll pass in `opts` by creating instance below.
+async function loadChain(ticker, date, cacheKey) {
+  // provider format (lib/providers):
+  // { quote: {...}, expirations: [unixSeconds...], expiration, calls: [], puts: [] }
+  const raw = await getProvider().fetchOptionChain(ticker, { expiration: date });
+
+  const underlying = normalizeUnderlying(raw?.quote);
+
+  const expirationDates = Array.isArray(raw?.expirations)
+    ? raw.expirations.map((x) => toNum(x)).filter((x) => x != null)
+    : [];
+
+  const expiry = toNum(raw?.expiration) ?? (expirationDates[0] ?? null);
+
+  const calls = Array.isArray(raw?.calls) ? raw.calls.map((r) => normalizeOptionRow(r, expiry)) : [];
+  const puts = Array.isArray(raw?.puts) ? raw.puts.map((r) => normalizeOptionRow(r, expiry)) : [];
+
+  const data = {
+    ok: true,
+    underlying,
+    expiry, // unix seconds
+    expirationDates, // unix seconds[]
+    chain: { calls, puts },
   };
 
-  // v2/v3: instantiate client (prevents "Call `const yahooFinance = new YahooFinance()` first.")
-  const yahooFinance = new YahooFinance({
-    // add a UA; helps a bit in some environments
-    headers: {
-      "User-Agent":
-        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36",
-      "Accept-Language": "en-US,en;q=0.9,ja;q=0.8",
-    },
-  });
-
-  if (date) {
-    return yahooFinance.options(symbol, { date, ...queryOptions });
-  }
-  return yahooFinance.options(symbol, queryOptions);
+  CACHE.set(cacheKey, { ts: now(), data });
+  return data;
 }
 
 export default async function handler(req, res) {
@@ -103,36 +107,10 @@ export default async function handler(req, res) {
       return;
     }
 
-    const raw = await fetchOptions(ticker, date);
-
-    // raw format:
-    // {
-    //   underlying: {...},
-    //   expirationDates: [unixSeconds...],
-    //   options: [{ expirationDate, calls:[], puts:[] }, ...]
-    // }
-    const underlying = normalizeUnderlying(raw?.underlying);
-
-    const expirationDates = Array.isArray(raw?.expirationDates)
-      ? raw.expirationDates.map((x) => toNum(x)).filter((x) => x != null)
-      : [];
-
-    // choose first option chain block returned
-    const optBlock = Array.isArray(raw?.options) && raw.options.length > 0 ? raw.options[0] : null;
-    const expiry = toNum(optBlock?.expirationDate) ?? (expirationDates[0] ?? null);
-
-    const calls = Array.isArray(optBlock?.calls) ? optBlock.calls.map((r) => normalizeOptionRow(r, expiry)) : [];
-    const puts = Array.isArray(optBlock?.puts) ? optBlock.puts.map((r) => normalizeOptionRow(r, expiry)) : [];
-
-    const data = {
-      ok: true,
-      underlying,
-      expiry, // unix seconds
-      expirationDates, // unix seconds[]
-      chain: { calls, puts },
-    };
-
-    CACHE.set(cacheKey, { ts: now(), data });
+    // 同じキーの同時リクエストは 1 回の取得を共有（結果は CACHE に入る）
+    const data = await coalesce(`options-chain:${cacheKey}`, () =>
+      loadChain(ticker, date, cacheKey)
+    );
 
     // Vercel edge cache hint (best-effort)
     res.setHeader("Cache-Control", "s-maxage=300, stale-while-revalidate=600");
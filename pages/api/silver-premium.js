@@ -10,6 +10,11 @@
 //         = ChinaProxy_USD/oz / US_USD/oz - 1
 //
 // (We still include FX + kg conversion in output for transparency.)
+//
+// Data comes through lib/providers (PRICE_PROVIDER=local serves the same symbols from fixtures).
+
+import { coalesce } from "../../lib/inflight";
+import { getProvider } from "../../lib/providers";
 
 const OZ_PER_KG = 32.1507466;
 
@@ -23,40 +28,12 @@ function mapPeriod(period) {
   return { range: "2y", interval: "1d", days: 450 }; // 1Y default
 }
 
-async function fetchYahooDailyCloses(symbol, range, interval) {
-  const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(
-    symbol
-  )}?range=${encodeURIComponent(range)}&interval=${encodeURIComponent(interval)}`;
-
-  const r = await fetch(url, {
-    headers: {
-      "User-Agent":
-        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36",
-      Accept: "application/json,text/plain,*/*",
-    },
-  });
-
-  if (!r.ok) {
-    const t = await r.text().catch(() => "");
-    throw new Error(`Yahoo fetch failed: ${symbol} ${r.status} ${t.slice(0, 120)}`);
-  }
-
-  const j = await r.json();
-  const res = j?.chart?.result?.[0];
-  if (!res) throw new Error(`Yahoo response missing chart.result for ${symbol}`);
-
-  const ts = res.timestamp || [];
-  const close = res.indicators?.quote?.[0]?.close || [];
-
-  const out = [];
-  for (let i = 0; i < ts.length; i++) {
-    const c = close[i];
-    if (c == null || Number.isNaN(c)) continue;
-    const d = new Date(ts[i] * 1000);
-    const iso = d.toISOString().slice(0, 10);
-    out.push({ date: iso, close: Number(c) });
-  }
-  return out;
+// 同じ symbol/range/interval の同時リクエストは 1 回の取得を共有
+async function fetchCloses(provider, symbol, range, interval) {
+  const { points } = await coalesce(`closes:${provider.name}:${symbol}:${range}:${interval}`, () =>
+    provider.fetchDailyCloses(symbol, { range, interval })
+  );
+  return points.map((p) => ({ date: p.date, close: p.close }));
 }
 
 function buildMap(series) {
@@ -84,10 +61,11 @@ export default async function handler(req, res) {
     // US proxy: SI=F
     // "China proxy": AG=F
     // FX: USDCNY=X
+    const provider = getProvider();
     const [us, cnProxy, fx] = await Promise.all([
-      fetchYahooDailyCloses("SI=F", range, interval),
-      fetchYahooDailyCloses("AG=F", range, interval),
-      fetchYahooDailyCloses("USDCNY=X", range, interval),
+      fetchCloses(provider, "SI=F", range, interval),
+      fetchCloses(provider, "AG=F", range, interval),
+      fetchCloses(provider, "USDCNY=X", range, interval),
     ]);
 
     const usMap = buildMap(us);
@@ -130,6 +108,7 @@ export default async function handler(req, res) {
       period,
       scale: scaleSafe,
       source: {
+        provider: provider.name,
         yahoo_symbols: { us: "SI=F", cn_proxy: "AG=F", fx: "USDCNY=X" },
         note:
           "This SATAN version uses Yahoo-only proxies (no SGE scraping). CN proxy is AG=F on Yahoo (not guaranteed to be SGE spot).",
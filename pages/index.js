@@ -1,157 +1,51 @@
 import { useEffect, useMemo, useState } from "react";
+import Papa from "papaparse";
 import {
   LineChart,
   Line,
+  ComposedChart,
+  Bar,
+  Cell,
+  Scatter,
+  ReferenceLine,
   XAxis,
   YAxis,
   Tooltip,
   ResponsiveContainer,
   CartesianGrid,
+  Legend,
 } from "recharts";
-
-/* ====== 数値計算ロジック ====== */
-
-function round(x, digits = 2) {
-  if (x === undefined || !Number.isFinite(x)) return x;
-  const m = 10 ** digits;
-  return Math.round(x * m) / m;
-}
-
-function stddev(arr) {
-  const n = arr.length;
-  if (n < 2) return undefined;
-  const mean = arr.reduce((s, x) => s + x, 0) / n;
-  const varSum = arr.reduce((s, x) => s + (x - mean) ** 2, 0);
-  return Math.sqrt(varSum / (n - 1));
-}
-
-function worstNAvg(returns, n) {
-  if (returns.length < n) return undefined;
-  const a = [...returns].sort((x, y) => x - y);
-  const worst = a.slice(0, n);
-  return worst.reduce((s, x) => s + x, 0) / n;
-}
-
-function quantile(arr, q) {
-  if (!arr.length) return undefined;
-  const a = [...arr].sort((x, y) => x - y);
-  const pos = (a.length - 1) * q;
-  const base = Math.floor(pos);
-  const rest = pos - base;
-  return a[base + 1] === undefined
-    ? a[base]
-    : a[base] + rest * (a[base + 1] - a[base]);
-}
-
-function clamp(x, lo, hi) {
-  return Math.max(lo, Math.min(hi, x));
-}
-
-function analyze(points) {
-  if (!points || points.length < 2) throw new Error("Not enough points");
-
-  const closes = points.map((p) => p.close);
-
-  // returns[i] corresponds to points[i] date (i>=1)
-  const returns = [];
-  const retSeries = []; // {date, r}
-  for (let i = 1; i < closes.length; i++) {
-    const r = closes[i] / closes[i - 1] - 1;
-    returns.push(r);
-    retSeries.push({ date: points[i].date, r });
-  }
-
-  // equity (starts at 1)
-  const equity = [1];
-  for (let i = 0; i < returns.length; i++) {
-    equity.push(equity[i] * (1 + returns[i]));
-  }
-
-  // drawdown + durations
-  let peak = equity[0];
-  let maxDD = 0; // <=0
-  let ddDuration = 0;
-  let maxDdDuration = 0;
-
-  const drawdown = equity.map((e) => {
-    if (e >= peak) {
-      peak = e;
-      ddDuration = 0;
-    } else {
-      ddDuration += 1;
-      maxDdDuration = Math.max(maxDdDuration, ddDuration);
-    }
-    const dd = e / peak - 1;
-    maxDD = Math.min(maxDD, dd);
-    return dd;
-  });
-
-  // max losing streak
-  let curLose = 0;
-  let maxLose = 0;
-  for (const r of returns) {
-    if (r < 0) {
-      curLose += 1;
-      maxLose = Math.max(maxLose, curLose);
-    } else {
-      curLose = 0;
-    }
-  }
-
-  // vol + tail proxies
-  const dailyVol = stddev(returns);
-  const worst10Avg = worstNAvg(returns, 10);
-  const worstYear = returns.length >= 252 ? quantile(returns, 1 / 252) : undefined;
-
-  // charts (丸めて格納：見た目もtooltipも安定)
-  const chart = points.map((p, i) => ({
-    date: p.date,
-    equity: round(equity[i], 4),            // 例: 1.2345
-    drawdown: round(drawdown[i] * 100, 2),  // 例: -12.34 (%)
-  }));
-
-  // worst days list (top 10 worst daily returns)
-  const worstDays = [...retSeries]
-    .sort((a, b) => a.r - b.r) // worst first
-    .slice(0, Math.min(10, retSeries.length))
-    .map((x, idx) => ({
-      rank: idx + 1,
-      date: x.date,
-      retPct: round(x.r * 100, 2),
-    }));
-
-  // === Pain Score (Sigmora-style heuristic, 0-100) ===
-  // 深さ(MaxDD)・長さ(DD期間)・揺れ(日次ボラ)を、基準値で0-1に正規化して合成
-  // - depth : |MaxDD| / 0.60（60%DDを最大級の基準）
-  // - length: MaxDDDuration / 252（約1年を長い痛みの基準）
-  // - jitter: DailyVol / 0.03（3%日次ボラを激しい揺れの基準）
-  const depth = clamp(Math.abs(maxDD) / 0.60, 0, 1);
-  const length = clamp(maxDdDuration / 252, 0, 1);
-  const jitter = dailyVol === undefined ? 0 : clamp(dailyVol / 0.03, 0, 1);
-
-  // weights: depth 55%, length 30%, jitter 15%
-  const painScore = Math.round(100 * (0.55 * depth + 0.30 * length + 0.15 * jitter));
-
-  // 画面に説明を出すための内訳も返す（丸め）
-  const painBreakdown = {
-    depth: round(depth, 3),
-    length: round(length, 3),
-    jitter: round(jitter, 3),
-  };
-
-  return {
-    maxDD,
-    maxDdDuration,
-    maxLose,
-    dailyVol,
-    worst10Avg,
-    worstYear,
-    chart,
-    worstDays,
-    painScore,
-    painBreakdown,
-  };
-}
+import {
+  alignOnCommonDates,
+  analyze,
+  DEFAULT_EPISODE_THRESHOLD,
+  DEFAULT_PAIN_MODEL,
+  DEFAULT_PAIN_PRESET,
+  FREQUENCIES,
+  frequencyInfo,
+  PAIN_PRESETS,
+  parsePainModel,
+  resamplePoints,
+  ROLLING_WINDOWS,
+  rollingBars,
+} from "../lib/analyze";
+import { compareToBenchmark } from "../lib/benchmark";
+import { CRISIS_WINDOWS, crisisReport, parseCrisisWindow } from "../lib/crises";
+import { HOLDING_YEARS, holdingChart, holdingPeriodOutcomes } from "../lib/holding";
+import { DEFAULT_LEVERAGE_COST, LEVERAGE_OPTIONS, leveragedPoints, leverageLabel } from "../lib/leverage";
+import {
+  BOOTSTRAP_BLOCK_DAYS,
+  BOOTSTRAP_SAMPLES,
+  blockBootstrap,
+  DEFAULT_BOOTSTRAP_BLOCK_DAYS,
+  DEFAULT_BOOTSTRAP_SAMPLES,
+} from "../lib/bootstrap";
+import {
+  attributeDrawdowns,
+  buildPortfolio,
+  DEFAULT_REBALANCE_BAND,
+  REBALANCE_RULES,
+} from "../lib/portfolio";
 
 /* ====== UI helpers ====== */
 
@@ -198,58 +92,798 @@ function Badge({ text }) {
   );
 }
 
+/* ====== Compare helpers ====== */
+
+const MAX_COMPARE_TICKERS = 6;
+const COMPARE_COLORS = ["#2563eb", "#dc2626", "#16a34a", "#d97706", "#7c3aed", "#0891b2"];
+
+// "GLD, spy TLT" -> ["GLD", "SPY", "TLT"]（重複除去・上限あり）
+function parseTickers(raw) {
+  const out = [];
+  for (const t of String(raw || "").toUpperCase().split(/[,\s]+/)) {
+    if (t && !out.includes(t)) out.push(t);
+  }
+  return out.slice(0, MAX_COMPARE_TICKERS);
+}
+
+// chart 用に { date, eq_0, dd_0, eq_1, dd_1, ... } へ結合
+// ※ dataKey に "BRK.B" のような銘柄名を使うと recharts がパスとして解釈するため index で持つ
+function mergeCompareCharts(results) {
+  if (!results.length) return [];
+  return results[0].result.chart.map((row, i) => {
+    const out = { date: row.date };
+    results.forEach((x, k) => {
+      out[`eq_${k}`] = x.result.chart[i].equity;
+      out[`dd_${k}`] = x.result.chart[i].drawdown;
+    });
+    return out;
+  });
+}
+
+// 比較テーブルの行定義（analyze() の結果 -> 表示文字列）
+const COMPARE_ROWS = [
+  { label: "Pain Score", get: (r) => `${r.painScore}/100` },
+  { label: "Pain: depth", get: (r) => fmtNum(r.painBreakdown.depth, 3) },
+  { label: "Pain: length", get: (r) => fmtNum(r.painBreakdown.length, 3) },
+  { label: "Pain: jitter", get: (r) => fmtNum(r.painBreakdown.jitter, 3) },
+  { label: "Max Drawdown", get: (r) => fmtPct(r.maxDD) },
+  { label: "Max DD Duration", get: (r) => `${r.maxDdDuration} ${frequencyInfo(r.frequency).unit}` },
+  { label: "Max Losing Streak", get: (r) => `${r.maxLose} ${frequencyInfo(r.frequency).unit}` },
+  { label: "Volatility (per period)", get: (r) => fmtPct(r.periodVol) },
+  { label: "Annualized Volatility", get: (r) => fmtPct(r.annualVol) },
+  { label: "Worst 10 Days Avg", get: (r) => fmtPct(r.worst10Avg) },
+  { label: "Annualized Return", get: (r) => fmtPct(r.metrics.annualReturn) },
+  { label: "Sortino", get: (r) => fmtNum(r.metrics.sortino) },
+  { label: "Calmar", get: (r) => fmtNum(r.metrics.calmar) },
+  { label: "Ulcer Index", get: (r) => fmtPct(r.metrics.ulcerIndex) },
+  { label: "CVaR 95%", get: (r) => fmtPct(r.metrics.cvar95) },
+  { label: "Time Underwater", get: (r) => fmtPct(r.metrics.timeUnderwater) },
+  {
+    label: "Worst Calendar Year",
+    get: (r) => (r.worstCalendarYear ? `${fmtPct(r.worstCalendarYear.ret)} (${r.worstCalendarYear.year})` : "N/A"),
+  },
+  { label: "Worst Rolling 12M", get: (r) => fmtPct(r.worstRolling12m?.ret) },
+  { label: "DD Episodes", get: (r) => `${r.ddEpisodes.length} (≥${Math.round(r.episodeThreshold * 100)}%)` },
+  { label: "Worst Day", get: (r) => (r.worstDays[0] ? `${r.worstDays[0].retPct.toFixed(2)}%` : "N/A") },
+];
+
+/* ====== Portfolio helpers ====== */
+
+const PORTFOLIO_ATTRIBUTION_TOP = 5;
+
+// "SPY:60, TLT:30, GLD:10" -> [{ symbol: "SPY", weight: 60 }, ...] / ":" が無ければ null（通常の ticker 入力）
+// weight の検証は onAnalyze 側（share URL 生成中に throw しないように）
+function parsePortfolio(raw) {
+  const text = String(raw || "").toUpperCase().replace(/\s*:\s*/g, ":");
+  if (!text.includes(":")) return null;
+  const out = [];
+  for (const token of text.split(/[,\s]+/)) {
+    if (!token) continue;
+    const [symbol, w] = token.split(":");
+    if (symbol && !out.some((x) => x.symbol === symbol)) out.push({ symbol, weight: Number(w) });
+  }
+  return out;
+}
+
+function formatPortfolio(spec) {
+  return spec.map((x) => `${x.symbol}:${x.weight}`).join(",");
+}
+
+/* ====== Currency helpers ====== */
+
+// 表示通貨（"" = native USD）。換算は /api/prices が USD<CCY>=X で行う
+const CURRENCIES = ["", "JPY", "EUR", "GBP", "CHF", "CNY", "AUD", "CAD"];
+
+/* ====== Distribution helpers ====== */
+
+// VaR（リターン）を含むヒストグラム階級の x（ReferenceLine はカテゴリ値で位置決めするため）
+function binLabelFor(histogram, v) {
+  if (v === undefined || !histogram.length) return null;
+  const bin = histogram.find((b) => v >= b.from && v < b.to) || histogram[histogram.length - 1];
+  return bin.x;
+}
+
+/* ====== Calendar heatmap helpers ====== */
+
+const MONTH_LABELS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+// リターン -> 背景色（緑 = プラス / 赤 = マイナス、cap で濃さが飽和）
+function heatColor(r, cap) {
+  if (r === null || r === undefined || !Number.isFinite(r)) return "transparent";
+  const a = Math.min(1, Math.abs(r) / cap) * 0.75 + 0.05;
+  return r >= 0 ? `rgba(22, 163, 74, ${a.toFixed(3)})` : `rgba(220, 38, 38, ${a.toFixed(3)})`;
+}
+
+// % 表記（小数 2 桁）、空欄は ""
+function calendarCsv(calendar) {
+  const pct = (x) => (x === null || x === undefined ? "" : (x * 100).toFixed(2));
+  return Papa.unparse(
+    calendar.map((y) => {
+      const row = { year: y.year };
+      MONTH_LABELS.forEach((m, i) => {
+        row[m] = pct(y.months[i]);
+      });
+      row.total = pct(y.total);
+      row.maxDD = pct(y.maxDD);
+      row.vol = pct(y.vol);
+      return row;
+    })
+  );
+}
+
+/* ====== Extremes helpers ====== */
+
+const TOP_N_OPTIONS = [5, 10, 20, 50];
+const ROLLING_WINDOW_OPTIONS = [5, 10, 20, 60];
+
+// analyze() の worstDays / extremes.* -> 表
+const EXTREME_TABLES = [
+  { key: "worstDays", get: (r) => r.worstDays },
+  { key: "bestDays", get: (r) => r.extremes.bestDays },
+  { key: "worstWeeks", get: (r) => r.extremes.worstWeeks },
+  { key: "bestWeeks", get: (r) => r.extremes.bestWeeks },
+  { key: "worstMonths", get: (r) => r.extremes.worstMonths },
+  { key: "bestMonths", get: (r) => r.extremes.bestMonths },
+  { key: "worstRolling", get: (r) => r.extremes.worstRolling },
+];
+
+function extremesTitle(key, freq, extremes) {
+  return {
+    worstDays: `Worst ${freq.unit}`,
+    bestDays: `Best ${freq.unit}`,
+    worstWeeks: "Worst weeks",
+    bestWeeks: "Best weeks",
+    worstMonths: "Worst months",
+    bestMonths: "Best months",
+    worstRolling: `Worst rolling ${extremes.rollingWindow} ${freq.unit}`,
+  }[key];
+}
+
+// 行の日付表示（rolling は start → end、週は週初〜最終営業日、月は YYYY-MM）
+function extremesPeriod(row) {
+  if (row.start) return `${row.start} → ${row.date}`;
+  if (row.label && row.label.length === 7) return row.label;
+  if (row.label && row.label !== row.date) return `${row.label} 〜 ${row.date}`;
+  return row.date;
+}
+
+/* ====== Pain model helpers ====== */
+
+// UI の入力欄（weights % / refs）の並びと単位。lib/analyze.js の parsePainModel と同じ順
+const PAIN_WEIGHT_FIELDS = ["depth", "length", "jitter"];
+const PAIN_REF_FIELDS = ["MaxDD %", "DD days", "daily vol %"];
+
+// "custom" 以外は preset 名だけで再現できる
+function painModelInput({ preset, weights, refs }) {
+  return preset === "custom" ? { weights, refs } : { preset };
+}
+
+/* ====== Drawdown episode helpers ====== */
+
+const EPISODE_THRESHOLDS = [0.05, 0.1, 0.2, 0.3, 0.5];
+
+const EPISODE_COLUMNS = [
+  { key: "peakDate", label: "Peak" },
+  { key: "troughDate", label: "Trough" },
+  { key: "recoveryDate", label: "Recovery" },
+  { key: "depth", label: "Depth" },
+  { key: "daysToTrough", label: "To trough" },
+  { key: "daysToRecover", label: "To recover" },
+];
+
+// 未回復（null）は日付・日数とも「最後」に来るように扱う
+function sortEpisodes(episodes, { key, dir }) {
+  const sign = dir === "asc" ? 1 : -1;
+  return [...episodes].sort((a, b) => {
+    const x = a[key];
+    const y = b[key];
+    if (x === y) return 0;
+    if (x === null) return 1;
+    if (y === null) return -1;
+    return (x < y ? -1 : 1) * sign;
+  });
+}
+
+/* ====== CSV helpers ====== */
+
+// ブラウザで text をファイルとして保存（CSV / JSON export 共通）
+function downloadText(filename, text, type = "text/csv") {
+  const url = URL.createObjectURL(new Blob([text], { type: `${type};charset=utf-8` }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+// 列名の候補（小文字・英数字のみに正規化して比較）
+// broker export 例: "Date,Open,High,Low,Close,Adj Close,Volume" / "Date,Close/Last,Volume,..."
+const CSV_DATE_COLUMNS = ["date", "datetime", "timestamp", "time", "asof", "navdate"];
+const CSV_CLOSE_COLUMNS = ["adjclose", "adjustedclose", "close", "closelast", "nav", "price", "value", "last"];
+const CSV_MAX_BAD_ROWS_SHOWN = 10;
+
+function normalizeHeader(h) {
+  return String(h || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+function pickColumn(fields, candidates) {
+  const byKey = new Map();
+  for (const f of fields) {
+    const k = normalizeHeader(f);
+    if (!byKey.has(k)) byKey.set(k, f);
+  }
+  for (const c of candidates) {
+    if (byKey.has(c)) return byKey.get(c);
+  }
+  return null;
+}
+
+function toISODate(y, m, d) {
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  if (dt.getUTCFullYear() !== y || dt.getUTCMonth() !== m - 1 || dt.getUTCDate() !== d) return null;
+  return dt.toISOString().slice(0, 10);
+}
+
+// "YYYY-MM-DD" / "YYYY/MM/DD" / "YYYYMMDD" / "MM/DD/YYYY"(US broker) / ISO timestamp
+function parseCsvDate(raw) {
+  const s = String(raw ?? "").trim();
+  let m = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T\s].*)?$/.exec(s);
+  if (m) return toISODate(Number(m[1]), Number(m[2]), Number(m[3]));
+  m = /^(\d{4})(\d{2})(\d{2})$/.exec(s);
+  if (m) return toISODate(Number(m[1]), Number(m[2]), Number(m[3]));
+  m = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(s);
+  if (m) return toISODate(Number(m[3]), Number(m[1]), Number(m[2]));
+  return null;
+}
+
+// "$1,234.56" のような表記も許容
+function parseCsvNumber(raw) {
+  if (typeof raw === "number") return raw;
+  const s = String(raw ?? "").trim().replace(/[$,\s]/g, "");
+  if (!s) return NaN;
+  return Number(s);
+}
+
+function parsePriceCsv(text) {
+  const parsed = Papa.parse(text, { header: true, skipEmptyLines: "greedy" });
+  const fields = parsed.meta?.fields || [];
+
+  const dateCol = pickColumn(fields, CSV_DATE_COLUMNS);
+  const closeCol = pickColumn(fields, CSV_CLOSE_COLUMNS);
+  if (!dateCol || !closeCol) {
+    throw new Error(
+      `CSV header must contain a date column and a close column (found: ${fields.join(", ") || "none"})`
+    );
+  }
+
+  const bad = [];
+  const byDate = new Map();
+  parsed.data.forEach((row, i) => {
+    const line = i + 2; // header = line 1
+    const date = parseCsvDate(row[dateCol]);
+    const close = parseCsvNumber(row[closeCol]);
+    if (!date) {
+      bad.push({ line, reason: `invalid date "${row[dateCol] ?? ""}"` });
+      return;
+    }
+    if (!Number.isFinite(close) || close <= 0) {
+      bad.push({ line, reason: `invalid close "${row[closeCol] ?? ""}"` });
+      return;
+    }
+    if (byDate.has(date)) bad.push({ line, reason: `duplicate date ${date} (later row kept)` });
+    byDate.set(date, close);
+  });
+
+  const points = [...byDate.entries()]
+    .map(([date, close]) => ({ date, close }))
+    .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+
+  if (points.length < 2) {
+    throw new Error(`Not enough valid rows (${points.length}) in CSV`);
+  }
+
+  return { points, dateCol, closeCol, bad };
+}
+
 /* ====== URL helpers ====== */
 
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
 function getParamsFromURL() {
   if (typeof window === "undefined") return null;
   const sp = new URLSearchParams(window.location.search);
   const t = sp.get("ticker");
   const p = sp.get("period");
+  const a = sp.get("adjust");
+  const i = sp.get("interval");
   const ticker = t ? String(t).toUpperCase().trim() : null;
   const period = p ? String(p).toUpperCase().trim() : null;
-  return { ticker, period };
+  const adjust = a === "total" ? "total" : null;
+  const start = ISO_DATE_RE.test(sp.get("start") || "") ? sp.get("start") : "";
+  const end = ISO_DATE_RE.test(sp.get("end") || "") ? sp.get("end") : "";
+  const interval = i && FREQUENCIES[i] ? i : null;
+  const rb = sp.get("rebalance");
+  const rebalance = rb && REBALANCE_RULES[rb] ? rb : null;
+  const bandPct = Number(sp.get("band"));
+  const band = bandPct > 0 && bandPct < 100 ? bandPct / 100 : null;
+  const b = sp.get("benchmark");
+  const benchmark = b ? String(b).toUpperCase().trim() : null;
+  const c = String(sp.get("currency") || "").toUpperCase();
+  const currency = CURRENCIES.includes(c) ? c : null;
+  // painWeights / painRefs があれば custom。壊れた値は無視して preset に戻す
+  const pw = sp.get("painWeights");
+  const pr = sp.get("painRefs");
+  const custom = pw || pr ? parsePainModel({ preset: sp.get("painModel"), weights: pw, refs: pr }) : null;
+  const pm = String(sp.get("painModel") || "").toLowerCase();
+  let pain = null;
+  if (custom?.value) {
+    const base = PAIN_PRESETS[pm] || PAIN_PRESETS[DEFAULT_PAIN_PRESET];
+    pain = {
+      preset: "custom",
+      weights: pw ? pw.split(",").map(Number) : base.weights,
+      refs: pr ? pr.split(",").map(Number) : base.refs,
+    };
+  } else if (PAIN_PRESETS[pm]) {
+    pain = { preset: pm, weights: PAIN_PRESETS[pm].weights, refs: PAIN_PRESETS[pm].refs };
+  }
+  // crisis=2015-08-10..2016-02-11,2018-09-20..2018-12-24（ユーザー定義の stress window）
+  const crisisWindows = String(sp.get("crisis") || "")
+    .split(",")
+    .map((x) => parseCrisisWindow(x))
+    .filter(Boolean);
+  return {
+    ticker,
+    period,
+    adjust,
+    start,
+    end,
+    interval,
+    rebalance,
+    band,
+    benchmark,
+    currency,
+    pain,
+    crisisWindows,
+  };
+}
+
+// 既定値（adjust=price, rebalance=none など）は URL に載せない
+// start/end がある場合は period より優先（API 側と同じ）
+// band は % 表記（0.05 -> "5"）。threshold 以外では意味がないので載せない
+function toShareParams({
+  ticker,
+  period,
+  adjust,
+  start,
+  end,
+  interval,
+  rebalance,
+  band,
+  benchmark,
+  currency,
+  pain,
+  crisisWindows,
+}) {
+  const custom = Boolean(start || end);
+  const spec = parsePortfolio(ticker);
+  const threshold = Boolean(spec) && rebalance === "threshold";
+  return {
+    ticker: spec ? formatPortfolio(spec) : parseTickers(ticker).join(","),
+    period: custom ? null : period.toUpperCase().trim(),
+    start: start || null,
+    end: end || null,
+    interval: interval && interval !== "1d" ? interval : null,
+    adjust: adjust === "total" ? "total" : null,
+    rebalance: spec && rebalance && rebalance !== "none" ? rebalance : null,
+    band: threshold && band && band !== DEFAULT_REBALANCE_BAND ? String(Math.round(band * 10000) / 100) : null,
+    benchmark: benchmark ? String(benchmark).toUpperCase().trim() : null,
+    currency: currency || null,
+    painModel: pain && pain.preset !== "custom" && pain.preset !== DEFAULT_PAIN_PRESET ? pain.preset : null,
+    painWeights: pain?.preset === "custom" ? pain.weights.join(",") : null,
+    painRefs: pain?.preset === "custom" ? pain.refs.join(",") : null,
+    crisis: crisisWindows?.length ? crisisWindows.map((w) => `${w.start}..${w.end}`).join(",") : null,
+  };
 }
 
-function setParamsToURL(ticker, period) {
+function toQueryString(params) {
+  const sp = new URLSearchParams();
+  for (const [k, v] of Object.entries(params)) {
+    if (v !== null && v !== undefined && v !== "") sp.set(k, v);
+  }
+  return sp.toString();
+}
+
+function setParamsToURL(params) {
   if (typeof window === "undefined") return;
   const url = new URL(window.location.href);
-  url.searchParams.set("ticker", ticker);
-  url.searchParams.set("period", period);
+  url.search = toQueryString(params);
   window.history.replaceState({}, "", url.toString());
 }
 
 export default function Home() {
   const [ticker, setTicker] = useState("GLD");
   const [period, setPeriod] = useState("5Y");
+  const [adjust, setAdjust] = useState("price"); // price | total
+  // 任意期間（YYYY-MM-DD, "" = 未指定）。どちらかが入っていれば period より優先
+  const [start, setStart] = useState("");
+  const [end, setEnd] = useState("");
+  // barInterval = 次回取得時の頻度 / dataInterval = 読み込み済み points の頻度（analyze に渡す）
+  const [barInterval, setBarInterval] = useState("1d");
+  const [dataInterval, setDataInterval] = useState("1d");
   const [points, setPoints] = useState([]);
+  // 表示通貨 / nativePoints = 換算前の USD 系列（単一銘柄で currency 指定時のみ）
+  const [currency, setCurrency] = useState("");
+  const [nativePoints, setNativePoints] = useState(null);
+  // Pain Score model: preset 名 or "custom"（weights/refs は入力欄の値: %, 日数）
+  const [pain, setPain] = useState({
+    preset: DEFAULT_PAIN_PRESET,
+    weights: PAIN_PRESETS[DEFAULT_PAIN_PRESET].weights,
+    refs: PAIN_PRESETS[DEFAULT_PAIN_PRESET].refs,
+  });
   const [err, setErr] = useState("");
   const [loading, setLoading] = useState(false);
+  // /api/prices の adjust / events 情報（単一銘柄時の表示用）
+  const [priceInfo, setPriceInfo] = useState(null);
   const [showWorst, setShowWorst] = useState(true);
+  // worst/best 一覧: 表の種類・件数・rolling window 本数（analyze() に渡す）
+  const [extremesKind, setExtremesKind] = useState("worstDays");
+  const [topN, setTopN] = useState(10);
+  const [rollingWindow, setRollingWindow] = useState(10);
+  // rolling 指標チャートの window（営業日: 63 / 126 / 252）
+  const [rollingDays, setRollingDays] = useState(252);
+  // holding-period 分析の保有年数
+  const [holdingYears, setHoldingYears] = useState(1);
+  // leveraged / inverse 比較: 倍率（null = off）と年率コスト（小数）
+  const [leverage, setLeverage] = useState(null);
+  const [leverageCost, setLeverageCost] = useState(DEFAULT_LEVERAGE_COST);
+  // block bootstrap: 重いので明示的に ON にしたときだけ計算
+  const [bootstrapOn, setBootstrapOn] = useState(false);
+  const [bootstrapSamples, setBootstrapSamples] = useState(DEFAULT_BOOTSTRAP_SAMPLES);
+  const [bootstrapBlockDays, setBootstrapBlockDays] = useState(DEFAULT_BOOTSTRAP_BLOCK_DAYS);
+  const [ddThreshold, setDdThreshold] = useState(DEFAULT_EPISODE_THRESHOLD);
+  const [episodeSort, setEpisodeSort] = useState({ key: "depth", dir: "asc" });
   const [autoRan, setAutoRan] = useState(false);
 
+  // 複数ティッカー比較: [{ symbol, points }]（共通日付で整列済み） / null = 単一銘柄
+  const [compare, setCompare] = useState(null);
+
+  // ポートフォリオ: { assets: [{ symbol, points }]（整列済み）, weights } / null = 通常モード
+  // リバランス条件は取得済みデータから再計算するだけなので state を分ける
+  const [portfolio, setPortfolio] = useState(null);
+  const [rebalance, setRebalance] = useState("none");
+  const [rebalanceBand, setRebalanceBand] = useState(DEFAULT_REBALANCE_BAND);
+
+  // Crisis windows: 単一銘柄は MAX 日次を別途取得（null なら分析中の系列で代用）
+  const [crisisPoints, setCrisisPoints] = useState(null);
+  const [crisisWindows, setCrisisWindows] = useState([]);
+  const [crisisInput, setCrisisInput] = useState({ start: "", end: "", label: "" });
+
+  // ベンチマーク（例: SPY）。benchmarkData = { symbol, points } / null（未指定・比較モード・CSV）
+  const [benchmark, setBenchmark] = useState("");
+  const [benchmarkData, setBenchmarkData] = useState(null);
+
+  // CSV mode: { name, dateCol, closeCol, count, bad } / null = Yahoo mode
+  const [csvInfo, setCsvInfo] = useState(null);
+  const [dragOver, setDragOver] = useState(false);
+
   // SSRで window を触らないように share URL を state に持つ
   const [shareUrl, setShareUrl] = useState("");
 
+  const portfolioRun = useMemo(() => {
+    if (!portfolio) return null;
+    return buildPortfolio(portfolio.assets, portfolio.weights, { rule: rebalance, band: rebalanceBand });
+  }, [portfolio, rebalance, rebalanceBand]);
+
+  const analysisPoints = portfolioRun ? portfolioRun.points : points;
+
+  // 入力途中の不正値ではエラーを出しつつ default で計算を続ける
+  const painParsed = useMemo(() => parsePainModel(painModelInput(pain)), [pain]);
+  const painModel = painParsed.value || DEFAULT_PAIN_MODEL;
+
+  const analyzeOptions = useMemo(
+    () => ({ episodeThreshold: ddThreshold, frequency: dataInterval, painModel, topN, rollingWindow }),
+    [ddThreshold, dataInterval, painModel, topN, rollingWindow]
+  );
+
   const result = useMemo(() => {
-    if (!points.length) return null;
-    return analyze(points);
-  }, [points]);
+    if (!analysisPoints.length) return null;
+    return analyze(analysisPoints, analyzeOptions);
+  }, [analysisPoints, analyzeOptions]);
+
+  // 深い順に上位の episode だけ資産別に分解
+  const attribution = useMemo(() => {
+    if (!portfolioRun || !result) return [];
+    const worst = [...result.ddEpisodes]
+      .sort((a, b) => a.depth - b.depth)
+      .slice(0, PORTFOLIO_ATTRIBUTION_TOP);
+    return attributeDrawdowns(portfolioRun, portfolio.assets, worst);
+  }, [portfolioRun, portfolio, result]);
+
+  const benchResult = useMemo(() => {
+    if (!benchmarkData || !analysisPoints.length) return null;
+    try {
+      return compareToBenchmark(analysisPoints, benchmarkData.points, {
+        frequency: dataInterval,
+        episodeThreshold: ddThreshold,
+      });
+    } catch (e) {
+      return { error: e.message };
+    }
+  }, [benchmarkData, analysisPoints, dataInterval, ddThreshold]);
+
+  const freq = frequencyInfo(result?.frequency);
+
+  const nativeResult = useMemo(() => {
+    if (!nativePoints || portfolio) return null;
+    return analyze(nativePoints, analyzeOptions);
+  }, [nativePoints, portfolio, analyzeOptions]);
+
+  // 日次リバランスの leveraged 系列を同じ options で analyze()
+  // 日次リバランスを再現するので日次データのときだけ（週次・月次の points では decay を過小評価する）
+  const leverageAvailable = dataInterval === "1d";
+  const levered = useMemo(() => {
+    if (leverage === null || !leverageAvailable || !result) return null;
+    const { points: levPoints, wipedOut } = leveragedPoints(analysisPoints, {
+      leverage,
+      annualCost: leverageCost,
+      frequency: result.frequency,
+    });
+    const levResult = analyze(levPoints, analyzeOptions);
+    const levByDate = new Map(levResult.chart.map((c) => [c.date, c]));
+    const chart = result.chart.map((c) => ({
+      date: c.date,
+      equity: c.equity,
+      drawdown: c.drawdown,
+      levEquity: levByDate.get(c.date)?.equity ?? null,
+      levDrawdown: levByDate.get(c.date)?.drawdown ?? null,
+    }));
+    // 単純に「原資産の期間リターン × 倍率」だった場合との差 = volatility decay（+ コスト）
+    const naiveTotal = leverage * result.metrics.totalReturn;
+    return { result: levResult, wipedOut, chart, naiveTotal, gap: levResult.metrics.totalReturn - naiveTotal };
+  }, [leverage, leverageAvailable, leverageCost, result, analysisPoints, analyzeOptions]);
+
+  const holding = useMemo(() => {
+    if (!result) return null;
+    const outcome = holdingPeriodOutcomes(analysisPoints, {
+      years: holdingYears,
+      periodsPerYear: result.periodsPerYear,
+    });
+    return outcome ? { ...outcome, chart: holdingChart(outcome) } : null;
+  }, [result, analysisPoints, holdingYears]);
+
+  // result 全体には依存させない（topN などを変えるたびに resample し直さないように）
+  const bootstrap = useMemo(() => {
+    if (!bootstrapOn || !analysisPoints.length) return null;
+    return blockBootstrap(analysisPoints, {
+      frequency: dataInterval,
+      painModel,
+      samples: bootstrapSamples,
+      blockDays: bootstrapBlockDays,
+    });
+  }, [bootstrapOn, analysisPoints, dataInterval, painModel, bootstrapSamples, bootstrapBlockDays]);
+
+  const extremesRows = result ? EXTREME_TABLES.find((t) => t.key === extremesKind).get(result) : [];
+
+  const crisisRows = useMemo(() => {
+    const source = crisisPoints || analysisPoints;
+    if (!source.length) return [];
+    const custom = crisisWindows.map((w) => ({ ...w, custom: true }));
+    return crisisReport(source, [...CRISIS_WINDOWS, ...custom]);
+  }, [crisisPoints, analysisPoints, crisisWindows]);
+  const crisisUnit = crisisPoints ? "days" : freq.unit;
+
+  const varMarkers = useMemo(() => {
+    if (!result?.distribution) return [];
+    const h = result.distribution.histogram;
+    return [
+      { label: "VaR 95%", x: binLabelFor(h, result.metrics.var95), color: "#d97706" },
+      { label: "VaR 99%", x: binLabelFor(h, result.metrics.var99), color: "#dc2626" },
+    ].filter((m) => m.x !== null);
+  }, [result]);
+
+  function onAddCrisisWindow() {
+    const w = parseCrisisWindow(`${crisisInput.start}..${crisisInput.end}`, crisisInput.label.trim());
+    if (!w) {
+      setErr("Crisis window: Start/End を正しく入力してください（Start ≤ End）");
+      return;
+    }
+    setErr("");
+    setCrisisWindows((cur) => [...cur.filter((x) => x.id !== w.id), w]);
+    setCrisisInput({ start: "", end: "", label: "" });
+  }
+
+  const sortedEpisodes = useMemo(
+    () => (result ? sortEpisodes(result.ddEpisodes, episodeSort) : []),
+    [result, episodeSort]
+  );
+
+  // export ファイル名: <CSV名 | portfolio | ティッカー>_<suffix>
+  function exportFileName(suffix) {
+    const base = csvInfo
+      ? csvInfo.name.replace(/\.[^.]+$/, "")
+      : portfolio
+        ? "portfolio"
+        : parseTickers(ticker).join("_") || "series";
+    return `${base}_${suffix}`;
+  }
+
+  function onSortEpisodes(key) {
+    setEpisodeSort((cur) =>
+      cur.key === key ? { key, dir: cur.dir === "asc" ? "desc" : "asc" } : { key, dir: "asc" }
+    );
+  }
 
-  async function onAnalyze(nextTicker, nextPeriod, { updateURL = true } = {}) {
-    const t = (nextTicker ?? ticker).toUpperCase().trim();
-    const p = (nextPeriod ?? period).toUpperCase().trim();
+  const compareResults = useMemo(() => {
+    if (!compare) return null;
+    return compare.map((s) => ({
+      symbol: s.symbol,
+      result: analyze(s.points, analyzeOptions),
+    }));
+  }, [compare, analyzeOptions]);
+
+  const compareChart = useMemo(
+    () => (compareResults ? mergeCompareCharts(compareResults) : []),
+    [compareResults]
+  );
+
+  async function fetchPrices(symbol, q) {
+    const r = await fetch(
+      `/api/prices?${toQueryString({
+        symbol,
+        period: q.period,
+        start: q.start,
+        end: q.end,
+        interval: q.interval,
+        adjust: q.adjust,
+        currency: q.currency,
+      })}`
+    );
+    const j = await r.json();
+    if (!r.ok) throw new Error(`${symbol}: ${j.error || "API error"}`);
+    return j;
+  }
+
+  // crisis report は MAX 日次で見たい。すでに MAX 日次ならそのまま、失敗しても分析は止めない
+  async function fetchCrisisHistory(symbol, q, loaded) {
+    if (q.period === "MAX" && !q.start && !q.end && q.interval === "1d") return loaded.points;
+    try {
+      const j = await fetchPrices(symbol, { ...q, period: "MAX", start: null, end: null, interval: "1d" });
+      return j.points;
+    } catch {
+      return null;
+    }
+  }
+
+  async function fetchBenchmark(q) {
+    const j = await fetchPrices(q.benchmark, q);
+    return { symbol: q.benchmark, points: j.points };
+  }
+
+  // overrides: { ticker, period, adjust, start, end, interval, rebalance, band, benchmark, currency, pain }
+  // — 省略時は現在の state
+  async function onAnalyze(overrides = {}, { updateURL = true } = {}) {
+    const shared = toShareParams({
+      ticker,
+      period,
+      adjust,
+      start,
+      end,
+      interval: barInterval,
+      rebalance,
+      band: rebalanceBand,
+      benchmark,
+      currency,
+      pain,
+      crisisWindows,
+      ...overrides,
+    });
+    const q = { ...shared, adjust: shared.adjust || "price", interval: shared.interval || "1d" };
+    const spec = parsePortfolio(q.ticker);
+    const tickers = spec ? spec.map((x) => x.symbol) : parseTickers(q.ticker);
+
+    setErr("");
+    setLoading(true);
+    try {
+      if (!tickers.length) throw new Error("Ticker is required");
+      if (q.start && q.end && q.start > q.end) throw new Error("Start must be on or before End");
+      if (spec) {
+        if (tickers.length > MAX_COMPARE_TICKERS) {
+          throw new Error(`Portfolio supports up to ${MAX_COMPARE_TICKERS} assets`);
+        }
+        const bad = spec.find((x) => !Number.isFinite(x.weight) || x.weight <= 0);
+        if (bad) throw new Error(`${bad.symbol}: weight must be a positive number`);
+      }
+      if (updateURL) setParamsToURL(shared);
+
+      if (spec) {
+        const fetched = await Promise.all(
+          tickers.map(async (symbol) => ({ symbol, points: (await fetchPrices(symbol, q)).points }))
+        );
+        const aligned = alignOnCommonDates(fetched);
+        if (aligned[0].points.length < 2) throw new Error("Not enough common dates across assets");
+        setPortfolio({ assets: aligned, weights: spec.map((x) => x.weight) });
+        setBenchmarkData(q.benchmark ? await fetchBenchmark(q) : null);
+        setCompare(null);
+        setPoints([]);
+        setNativePoints(null);
+        setCrisisPoints(null);
+        setPriceInfo(null);
+      } else if (tickers.length === 1) {
+        const j = await fetchPrices(tickers[0], q);
+        setPoints(j.points);
+        setNativePoints(j.nativePoints || null);
+        setCrisisPoints(await fetchCrisisHistory(tickers[0], q, j));
+        setBenchmarkData(q.benchmark ? await fetchBenchmark(q) : null);
+        setPriceInfo({
+          adjust: j.adjust,
+          method: j.meta?.adjust_method,
+          events: j.events,
+          currency: j.currency,
+          fx: j.meta?.fx,
+        });
+        setCompare(null);
+        setPortfolio(null);
+      } else {
+        const fetched = await Promise.all(
+          tickers.map(async (symbol) => ({ symbol, points: (await fetchPrices(symbol, q)).points }))
+        );
+        const aligned = alignOnCommonDates(fetched);
+        if (aligned[0].points.length < 2) throw new Error("Not enough common dates across tickers");
+        setCompare(aligned);
+        setPortfolio(null);
+        setBenchmarkData(null);
+        setPoints([]);
+        setNativePoints(null);
+        setCrisisPoints(null);
+        setPriceInfo(null);
+      }
+      setDataInterval(q.interval);
+      setCsvInfo(null);
+    } catch (e) {
+      setErr(String(e));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // CSV は日次想定。週次/月次選択時はローカルで間引いてから分析
+  function loadCsvText(text, name) {
+    const { points: rawPoints, dateCol, closeCol, bad } = parsePriceCsv(text);
+    const csvPoints = resamplePoints(rawPoints, barInterval);
+    if (csvPoints.length < 2) throw new Error(`Not enough ${barInterval} bars in CSV`);
+    setPoints(csvPoints);
+    setNativePoints(null);
+    setCrisisPoints(null);
+    setDataInterval(barInterval);
+    setCompare(null);
+    setPortfolio(null);
+    setBenchmarkData(null);
+    setPriceInfo(null);
+    setCsvInfo({ name, dateCol, closeCol, count: csvPoints.length, bad });
+  }
+
+  async function onCsvFile(file) {
+    if (!file) return;
+    setErr("");
+    setLoading(true);
+    try {
+      loadCsvText(await file.text(), file.name);
+    } catch (e) {
+      setErr(String(e));
+    } finally {
+      setLoading(false);
+    }
+  }
 
+  async function onLoadSample() {
     setErr("");
     setLoading(true);
     try {
-      if (updateURL) setParamsToURL(t, p);
-
-      const r = await fetch(
-        `/api/prices?symbol=${encodeURIComponent(t)}&period=${encodeURIComponent(p)}`
-      );
-      const j = await r.json();
-      if (!r.ok) throw new Error(j.error || "API error");
-      setPoints(j.points);
+      const r = await fetch("/crash_sample.csv");
+      if (!r.ok) throw new Error(`HTTP ${r.status}`);
+      loadCsvText(await r.text(), "crash_sample.csv");
     } catch (e) {
       setErr(String(e));
     } finally {
@@ -265,12 +899,42 @@ export default function Home() {
 
     const nextT = params.ticker || "GLD";
     const nextP = params.period || "5Y";
+    const nextA = params.adjust || "price";
+    const nextI = params.interval || "1d";
+    const nextR = params.rebalance || "none";
+    const nextB = params.band || DEFAULT_REBALANCE_BAND;
+    const nextBm = params.benchmark || "";
+    const nextC = params.currency || "";
 
     setTicker(nextT);
     setPeriod(nextP);
+    setAdjust(nextA);
+    setStart(params.start);
+    setEnd(params.end);
+    setBarInterval(nextI);
+    setRebalance(nextR);
+    setRebalanceBand(nextB);
+    setBenchmark(nextBm);
+    setCurrency(nextC);
+    if (params.pain) setPain(params.pain);
+    setCrisisWindows(params.crisisWindows);
     setAutoRan(true);
 
-    onAnalyze(nextT, nextP, { updateURL: false });
+    onAnalyze(
+      {
+        ticker: nextT,
+        period: nextP,
+        adjust: nextA,
+        start: params.start,
+        end: params.end,
+        interval: nextI,
+        rebalance: nextR,
+        band: nextB,
+        benchmark: nextBm,
+        currency: nextC,
+      },
+      { updateURL: false }
+    );
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [autoRan]);
 
@@ -278,11 +942,47 @@ export default function Home() {
   useEffect(() => {
     if (typeof window === "undefined") return;
     const origin = window.location.origin;
-    const path = `/?ticker=${encodeURIComponent(
-      ticker.toUpperCase().trim()
-    )}&period=${encodeURIComponent(period.toUpperCase().trim())}`;
+    const path = `/?${toQueryString(
+      toShareParams({
+        ticker,
+        period,
+        adjust,
+        start,
+        end,
+        interval: barInterval,
+        rebalance,
+        band: rebalanceBand,
+        benchmark,
+        currency,
+        pain,
+        crisisWindows,
+      })
+    )}`;
     setShareUrl(origin + path);
-  }, [ticker, period]);
+  }, [
+    ticker,
+    period,
+    adjust,
+    start,
+    end,
+    barInterval,
+    rebalance,
+    rebalanceBand,
+    benchmark,
+    currency,
+    pain,
+    crisisWindows,
+  ]);
+
+  const portfolioInput = Boolean(parsePortfolio(ticker));
+
+  // /report はサーバー側で取得し直すので、URL で再現できる単一ティッカーのときだけ
+  const reportUrl =
+    result && !csvInfo && !portfolio
+      ? `/report?${toQueryString(
+          toShareParams({ ticker, period, adjust, start, end, interval: barInterval, currency, pain })
+        )}`
+      : null;
 
   return (
     <div
@@ -310,12 +1010,12 @@ export default function Home() {
         <input
           value={ticker}
           onChange={(e) => setTicker(e.target.value)}
-          placeholder="Ticker (e.g., GLD)"
+          placeholder="Ticker (e.g., GLD / GLD,SPY,TLT / SPY:60,TLT:40)"
           style={{
             padding: "10px 12px",
             borderRadius: 10,
             border: "1px solid #ddd",
-            width: 180,
+            width: 240,
           }}
           onKeyDown={(e) => {
             if (e.key === "Enter") onAnalyze();
@@ -325,6 +1025,8 @@ export default function Home() {
         <select
           value={period}
           onChange={(e) => setPeriod(e.target.value)}
+          disabled={Boolean(start || end)}
+          title={start || end ? "Start/End 指定中は無視されます" : undefined}
           style={{ padding: "10px 12px", borderRadius: 10, border: "1px solid #ddd" }}
         >
           <option value="1Y">1Y</option>
@@ -333,6 +1035,131 @@ export default function Home() {
           <option value="MAX">MAX</option>
         </select>
 
+        <div style={{ display: "flex", gap: 6, alignItems: "center", fontSize: 13, color: "#666" }}>
+          <input
+            type="date"
+            value={start}
+            max={end || undefined}
+            onChange={(e) => setStart(e.target.value)}
+            aria-label="Start date"
+            style={{ padding: "8px 10px", borderRadius: 10, border: "1px solid #ddd" }}
+          />
+          〜
+          <input
+            type="date"
+            value={end}
+            min={start || undefined}
+            onChange={(e) => setEnd(e.target.value)}
+            aria-label="End date"
+            style={{ padding: "8px 10px", borderRadius: 10, border: "1px solid #ddd" }}
+          />
+          {start || end ? (
+            <button
+              onClick={() => {
+                setStart("");
+                setEnd("");
+              }}
+              style={{
+                padding: "6px 10px",
+                borderRadius: 10,
+                border: "1px solid #ddd",
+                cursor: "pointer",
+                background: "white",
+              }}
+            >
+              Clear
+            </button>
+          ) : null}
+        </div>
+
+        <input
+          value={benchmark}
+          onChange={(e) => setBenchmark(e.target.value)}
+          placeholder="Benchmark (e.g., SPY)"
+          title="ベンチマーク（単一銘柄・ポートフォリオ時のみ。比較モードでは無視）"
+          style={{
+            padding: "10px 12px",
+            borderRadius: 10,
+            border: "1px solid #ddd",
+            width: 150,
+          }}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") onAnalyze();
+          }}
+        />
+
+        <select
+          value={adjust}
+          onChange={(e) => setAdjust(e.target.value)}
+          title="price = 終値のみ / total = 配当再投資（total return）"
+          style={{ padding: "10px 12px", borderRadius: 10, border: "1px solid #ddd" }}
+        >
+          <option value="price">Price only</option>
+          <option value="total">Total return</option>
+        </select>
+
+        <select
+          value={currency}
+          onChange={(e) => setCurrency(e.target.value)}
+          title="表示通貨（USD 建ての終値を USD/xxx で日次換算。FX 休場日は前日レート）"
+          style={{ padding: "10px 12px", borderRadius: 10, border: "1px solid #ddd" }}
+        >
+          {CURRENCIES.map((c) => (
+            <option key={c || "native"} value={c}>
+              {c ? `in ${c}` : "USD (native)"}
+            </option>
+          ))}
+        </select>
+
+        <select
+          value={barInterval}
+          onChange={(e) => setBarInterval(e.target.value)}
+          title="リターン頻度（週次・月次は日々のノイズを除いた痛み）"
+          style={{ padding: "10px 12px", borderRadius: 10, border: "1px solid #ddd" }}
+        >
+          {Object.entries(FREQUENCIES).map(([k, f]) => (
+            <option key={k} value={k}>
+              {f.label}
+            </option>
+          ))}
+        </select>
+
+        {portfolioInput ? (
+          <div style={{ display: "flex", gap: 6, alignItems: "center", fontSize: 13, color: "#666" }}>
+            <select
+              value={rebalance}
+              onChange={(e) => setRebalance(e.target.value)}
+              title="リバランス（月末・四半期末の終値、または目標ウェイトからの乖離がバンドを超えた日）"
+              style={{ padding: "10px 12px", borderRadius: 10, border: "1px solid #ddd" }}
+            >
+              {Object.entries(REBALANCE_RULES).map(([k, label]) => (
+                <option key={k} value={k}>
+                  Rebalance: {label}
+                </option>
+              ))}
+            </select>
+            {rebalance === "threshold" ? (
+              <>
+                ±
+                <input
+                  type="number"
+                  min={1}
+                  max={50}
+                  step={1}
+                  value={Math.round(rebalanceBand * 10000) / 100}
+                  onChange={(e) => {
+                    const v = Number(e.target.value);
+                    if (v > 0 && v < 100) setRebalanceBand(v / 100);
+                  }}
+                  aria-label="Rebalance band (%pt)"
+                  style={{ padding: "8px 10px", borderRadius: 10, border: "1px solid #ddd", width: 64 }}
+                />
+                %pt
+              </>
+            ) : null}
+          </div>
+        ) : null}
+
         <button
           onClick={() => onAnalyze()}
           disabled={loading}
@@ -353,19 +1180,395 @@ export default function Home() {
           <Badge text="Yahoo Finance" />
           <Badge text="Cached API" />
           <Badge text="Sharable URL" />
+          <Badge text="CSV Upload" />
         </div>
       </div>
 
+      <div
+        style={{
+          display: "flex",
+          gap: 8,
+          marginBottom: 14,
+          alignItems: "center",
+          flexWrap: "wrap",
+          fontSize: 13,
+          color: "#666",
+        }}
+      >
+        <span>Pain model:</span>
+        <select
+          value={pain.preset}
+          onChange={(e) => {
+            const preset = e.target.value;
+            setPain((cur) =>
+              preset === "custom"
+                ? { ...cur, preset }
+                : { preset, weights: PAIN_PRESETS[preset].weights, refs: PAIN_PRESETS[preset].refs }
+            );
+          }}
+          style={{ padding: "8px 10px", borderRadius: 10, border: "1px solid #ddd" }}
+        >
+          {Object.entries(PAIN_PRESETS).map(([k, p]) => (
+            <option key={k} value={k}>
+              {p.label}
+            </option>
+          ))}
+          <option value="custom">Custom</option>
+        </select>
+        <span>weights</span>
+        {PAIN_WEIGHT_FIELDS.map((label, i) => (
+          <input
+            key={label}
+            type="number"
+            min={0}
+            step={5}
+            value={pain.weights[i]}
+            onChange={(e) => {
+              const weights = [...pain.weights];
+              weights[i] = e.target.value === "" ? "" : Number(e.target.value);
+              setPain({ ...pain, preset: "custom", weights });
+            }}
+            title={`${label} weight (%)`}
+            aria-label={`${label} weight`}
+            style={{ padding: "6px 8px", borderRadius: 8, border: "1px solid #ddd", width: 56 }}
+          />
+        ))}
+        <span>refs</span>
+        {PAIN_REF_FIELDS.map((label, i) => (
+          <input
+            key={label}
+            type="number"
+            min={0}
+            value={pain.refs[i]}
+            onChange={(e) => {
+              const refs = [...pain.refs];
+              refs[i] = e.target.value === "" ? "" : Number(e.target.value);
+              setPain({ ...pain, preset: "custom", refs });
+            }}
+            title={label}
+            aria-label={`Pain reference: ${label}`}
+            style={{ padding: "6px 8px", borderRadius: 8, border: "1px solid #ddd", width: 64 }}
+          />
+        ))}
+        {painParsed.error ? <span style={{ color: "crimson" }}>{painParsed.error}（Default で計算中）</span> : null}
+      </div>
+
+      <div
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragOver(true);
+        }}
+        onDragLeave={() => setDragOver(false)}
+        onDrop={(e) => {
+          e.preventDefault();
+          setDragOver(false);
+          onCsvFile(e.dataTransfer.files?.[0]);
+        }}
+        style={{
+          border: `1px dashed ${dragOver ? "#111" : "#ccc"}`,
+          background: dragOver ? "#f6f6f6" : "white",
+          borderRadius: 12,
+          padding: 12,
+          marginBottom: 14,
+          display: "flex",
+          gap: 12,
+          alignItems: "center",
+          flexWrap: "wrap",
+          fontSize: 13,
+          color: "#555",
+        }}
+      >
+        <span>CSV（date,close）をここにドロップ、または</span>
+        <input
+          type="file"
+          accept=".csv,text/csv"
+          onChange={(e) => {
+            onCsvFile(e.target.files?.[0]);
+            e.target.value = "";
+          }}
+        />
+        <button
+          onClick={onLoadSample}
+          disabled={loading}
+          style={{
+            padding: "6px 10px",
+            borderRadius: 10,
+            border: "1px solid #ddd",
+            cursor: loading ? "not-allowed" : "pointer",
+            background: "white",
+          }}
+        >
+          Load sample
+        </button>
+      </div>
+
+      {csvInfo && (
+        <div style={{ color: "#555", fontSize: 13, marginBottom: 14, lineHeight: 1.6 }}>
+          CSV: <b>{csvInfo.name}</b> — {csvInfo.count} rows（date列: <code>{csvInfo.dateCol}</code>
+          、close列: <code>{csvInfo.closeCol}</code>）
+          {csvInfo.bad.length > 0 && (
+            <div style={{ color: "#b45309" }}>
+              スキップ/警告 {csvInfo.bad.length} 行:
+              <ul style={{ margin: "4px 0 0", paddingLeft: 18 }}>
+                {csvInfo.bad.slice(0, CSV_MAX_BAD_ROWS_SHOWN).map((b, i) => (
+                  <li key={i}>
+                    line {b.line}: {b.reason}
+                  </li>
+                ))}
+              </ul>
+              {csvInfo.bad.length > CSV_MAX_BAD_ROWS_SHOWN ? (
+                <div>…ほか {csvInfo.bad.length - CSV_MAX_BAD_ROWS_SHOWN} 行</div>
+              ) : null}
+            </div>
+          )}
+        </div>
+      )}
+
       <div style={{ color: "#888", fontSize: 12, marginBottom: 14, lineHeight: 1.6 }}>
-        共有：URL に <code>?ticker=GLD&amp;period=5Y</code> を付けると、その条件で自動分析します。
+        共有：URL に <code>?ticker=GLD&amp;period=5Y</code> を付けると、その条件で自動分析します（
+        <code>&amp;adjust=total</code> で配当込み total return、<code>&amp;interval=1wk</code> / <code>1mo</code>{" "}
+        で週次・月次リターン）。
+        <br />
+        任意期間：Start/End（または <code>&amp;start=2007-10-01&amp;end=2009-03-31</code>）を指定すると period
+        より優先します。
+        <br />
+        比較：<code>GLD,SPY,TLT</code> のようにカンマ区切りで入力すると、共通日付で揃えて並べて比較します（最大{" "}
+        {MAX_COMPARE_TICKERS} 銘柄）。
+        <br />
+        ポートフォリオ：<code>SPY:60,TLT:30,GLD:10</code> のように「銘柄:ウェイト」で入力すると、合成した資産曲線を分析します（ウェイトは合計で正規化。
+        <code>&amp;rebalance=monthly</code> / <code>quarterly</code> / <code>threshold&amp;band=5</code>）。
+        <br />
+        通貨：<code>&amp;currency=JPY</code> のように指定すると、USD 建ての終値を USDJPY=X で日次換算して分析します（FX
+        休場日は直前のレートで補完。単一銘柄では USD 建ての指標も並べて表示）。
+        <br />
+        Pain model：preset（<code>&amp;painModel=conservative</code> / <code>long-horizon</code>）または weights・基準値を直接指定（
+        <code>&amp;painWeights=55,30,15&amp;painRefs=60,252,3</code> = depth/length/jitter の %、MaxDD %・DD 日数・日次ボラ %）。
+        <br />
+        ベンチマーク：Benchmark 欄（または <code>&amp;benchmark=SPY</code>）で、beta・相関・トラッキングエラー・
+        上昇/下落捕捉率・相対 DD と、ベンチマークの大きな DD 局面での値動きを表示します。
+        <br />
+        保存：Export から価格系列・chart データ・Worst days（CSV）、analyze() の結果（JSON）、印刷用レポート（
+        <code>/report?ticker=GLD&amp;period=5Y</code>、ブラウザの印刷で PDF 化）を取得できます。
         <br />
         ※グラフの数値は「見やすさ優先」で四捨五入しています（Equity: 小数4桁、DD%: 小数2桁）。
       </div>
 
       {err ? <div style={{ color: "crimson", marginBottom: 10 }}>{err}</div> : null}
 
+      {priceInfo && (
+        <div style={{ color: "#555", fontSize: 13, marginBottom: 14, lineHeight: 1.6 }}>
+          Series: <b>{priceInfo.adjust === "total" ? "Total return" : "Price only"}</b>
+          {priceInfo.adjust === "total" ? `（${priceInfo.method}）` : ""} — dividends{" "}
+          {priceInfo.events?.dividends?.length ?? 0}件 / splits {priceInfo.events?.splits?.length ?? 0}件
+          {priceInfo.events?.splits?.length ? (
+            <span>
+              （{priceInfo.events.splits.map((x) => `${x.date} ${x.ratio}`).join(", ")}）
+            </span>
+          ) : null}
+          {priceInfo.fx ? (
+            <div>
+              Currency: <b>{priceInfo.currency}</b>（{priceInfo.fx.symbol} で日次換算、FX 休場日の補完{" "}
+              {priceInfo.fx.forward_filled}日
+              {priceInfo.fx.dropped_before_fx ? ` / FX 開始前 ${priceInfo.fx.dropped_before_fx}日を除外` : ""}）
+            </div>
+          ) : null}
+        </div>
+      )}
+
+      {compareResults && (
+        <>
+          <h3 style={{ marginTop: 6 }}>Comparison</h3>
+          <div style={{ overflowX: "auto", marginBottom: 18 }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+              <thead>
+                <tr style={{ textAlign: "left", borderBottom: "1px solid #ddd" }}>
+                  <th style={{ padding: "8px 6px" }}>Metric</th>
+                  {compareResults.map((x, k) => (
+                    <th key={x.symbol} style={{ padding: "8px 6px", color: COMPARE_COLORS[k] }}>
+                      {x.symbol}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {COMPARE_ROWS.map((row) => (
+                  <tr key={row.label} style={{ borderBottom: "1px solid #f0f0f0" }}>
+                    <td style={{ padding: "8px 6px", color: "#666" }}>{row.label}</td>
+                    {compareResults.map((x) => (
+                      <td key={x.symbol} style={{ padding: "8px 6px", fontWeight: 650 }}>
+                        {row.get(x.result)}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div style={{ color: "#888", fontSize: 12, marginTop: 8, lineHeight: 1.6 }}>
+              共通日付 {compareChart.length} 日（{compareChart[0]?.date} 〜{" "}
+              {compareChart[compareChart.length - 1]?.date}）で揃えて計算しています。
+              <br />
+              Share: {shareUrl || "Loading..."}
+            </div>
+          </div>
+
+          <h3 style={{ marginTop: 6 }}>Equity Curve</h3>
+          <ResponsiveContainer width="100%" height={260}>
+            <LineChart data={compareChart}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="date" hide />
+              <YAxis tickFormatter={(v) => Number(v).toFixed(4)} />
+              <Tooltip formatter={(v) => Number(v).toFixed(4)} />
+              <Legend />
+              {compareResults.map((x, k) => (
+                <Line
+                  key={x.symbol}
+                  type="monotone"
+                  dataKey={`eq_${k}`}
+                  name={x.symbol}
+                  stroke={COMPARE_COLORS[k]}
+                  dot={false}
+                />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+
+          <h3 style={{ marginTop: 26 }}>Drawdown (%)</h3>
+          <ResponsiveContainer width="100%" height={220}>
+            <LineChart data={compareChart}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="date" hide />
+              <YAxis tickFormatter={(v) => Number(v).toFixed(2)} />
+              <Tooltip formatter={(v) => `${Number(v).toFixed(2)}%`} />
+              <Legend />
+              {compareResults.map((x, k) => (
+                <Line
+                  key={x.symbol}
+                  type="monotone"
+                  dataKey={`dd_${k}`}
+                  name={x.symbol}
+                  stroke={COMPARE_COLORS[k]}
+                  dot={false}
+                />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+
+          <div style={{ marginTop: 28, fontSize: 12, color: "#888", lineHeight: 1.6 }}>
+            注意：本ツールは教育・分析目的であり、投資助言ではありません。将来の成果を保証しません。
+          </div>
+        </>
+      )}
+
       {result && (
         <>
+          <div
+            style={{
+              display: "flex",
+              gap: 6,
+              alignItems: "center",
+              flexWrap: "wrap",
+              marginBottom: 14,
+              fontSize: 13,
+              color: "#666",
+            }}
+          >
+            <span>Export:</span>
+            {[
+              {
+                label: "Prices CSV",
+                run: () =>
+                  downloadText(
+                    exportFileName("prices.csv"),
+                    Papa.unparse(analysisPoints.map((p) => ({ date: p.date, close: p.close })))
+                  ),
+              },
+              {
+                label: "Chart data CSV",
+                run: () => downloadText(exportFileName("equity_drawdown.csv"), Papa.unparse(result.chart)),
+              },
+              {
+                label: "Worst days CSV",
+                run: () => downloadText(exportFileName("worst_days.csv"), Papa.unparse(result.worstDays)),
+              },
+              {
+                label: "analyze() JSON",
+                run: () =>
+                  downloadText(exportFileName("analysis.json"), JSON.stringify(result, null, 2), "application/json"),
+              },
+            ].map((x) => (
+              <button
+                key={x.label}
+                onClick={x.run}
+                style={{
+                  padding: "6px 10px",
+                  borderRadius: 10,
+                  border: "1px solid #ddd",
+                  cursor: "pointer",
+                  background: "white",
+                }}
+              >
+                {x.label}
+              </button>
+            ))}
+            {reportUrl ? (
+              <a
+                href={reportUrl}
+                target="_blank"
+                rel="noreferrer"
+                style={{
+                  padding: "6px 10px",
+                  borderRadius: 10,
+                  border: "1px solid #111",
+                  color: "#111",
+                  textDecoration: "none",
+                }}
+              >
+                Printable report
+              </a>
+            ) : (
+              <span style={{ color: "#aaa" }} title="CSV・ポートフォリオは URL で再現できないため">
+                Printable report: 単一ティッカーのみ
+              </span>
+            )}
+          </div>
+
+          {portfolioRun && (
+            <div style={{ marginBottom: 18 }}>
+              <h3 style={{ marginTop: 6 }}>Portfolio</h3>
+              <div style={{ overflowX: "auto" }}>
+                <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+                  <thead>
+                    <tr style={{ textAlign: "left", borderBottom: "1px solid #ddd" }}>
+                      <th style={{ padding: "8px 6px" }}>Asset</th>
+                      <th style={{ padding: "8px 6px" }}>Target weight</th>
+                      <th style={{ padding: "8px 6px" }}>Weight at end</th>
+                      <th style={{ padding: "8px 6px" }}>Asset return</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {portfolio.assets.map((a, i) => (
+                      <tr key={a.symbol} style={{ borderBottom: "1px solid #f0f0f0" }}>
+                        <td style={{ padding: "8px 6px", color: COMPARE_COLORS[i] }}>{a.symbol}</td>
+                        <td style={{ padding: "8px 6px" }}>{fmtPct(portfolioRun.weights[i])}</td>
+                        <td style={{ padding: "8px 6px" }}>{fmtPct(portfolioRun.finalWeights[i])}</td>
+                        <td style={{ padding: "8px 6px" }}>
+                          {fmtPct(a.points[a.points.length - 1].close / a.points[0].close - 1)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <div style={{ color: "#888", fontSize: 12, marginTop: 8, lineHeight: 1.6 }}>
+                Rebalance: {REBALANCE_RULES[rebalance]}
+                {rebalance === "threshold" ? `（±${fmtNum(rebalanceBand * 100, 1)}%pt）` : ""} —{" "}
+                {portfolioRun.rebalanceCount} 回。共通日付 {portfolioRun.points.length} 本（
+                {portfolioRun.points[0].date} 〜 {portfolioRun.points[portfolioRun.points.length - 1].date}
+                ）で合成し、以下の指標はすべて合成後の資産曲線に対するものです。
+              </div>
+            </div>
+          )}
+
           <div
             style={{
               display: "grid",
@@ -379,7 +1582,17 @@ export default function Home() {
               value={`${result.painScore}/100`}
               subtitle={
                 "過去の「痛み」の要約（将来予測ではない）。\n" +
-                "深さ=|MaxDD|/0.60、長さ=DD期間/252、揺れ=日次ボラ/0.03 を 0-1 に正規化して合成。\n" +
+                `Model: ${
+                  result.painModel.preset === "custom" ? "Custom" : PAIN_PRESETS[result.painModel.preset].label
+                }（weights depth/length/jitter = ${fmtPct(result.painModel.weights.depth)} / ${fmtPct(
+                  result.painModel.weights.length
+                )} / ${fmtPct(result.painModel.weights.jitter)}）\n` +
+                `深さ=|MaxDD|/${fmtNum(result.painBreakdown.depthRef, 2)}、長さ=DD期間/${
+                  result.painBreakdown.lengthRef
+                } ${freq.unit}、揺れ=${freq.label}ボラ/${fmtNum(
+                  result.painBreakdown.jitterRef,
+                  4
+                )} を 0-1 に正規化して合成。\n` +
                 `内訳: depth=${fmtNum(result.painBreakdown.depth, 3)}, length=${fmtNum(
                   result.painBreakdown.length,
                   3
@@ -387,15 +1600,120 @@ export default function Home() {
               }
             />
             <Card title="Max Drawdown" value={fmtPct(result.maxDD)} />
-            <Card title="Max DD Duration" value={`${result.maxDdDuration} days`} />
-            <Card title="Max Losing Streak" value={`${result.maxLose} days`} />
-            <Card title="Daily Volatility" value={fmtPct(result.dailyVol)} />
-            <Card title="Worst 10 Days Avg" value={fmtPct(result.worst10Avg)} />
-            <Card title="Year-level Worst Loss" value={fmtPct(result.worstYear)} subtitle="データが少ないとN/A" />
-            <Card title="Share this URL" value={shareUrl || "Loading..."} subtitle="同じ分析条件を再現" />
-            <Card title="Worst days list" value={showWorst ? "ON" : "OFF"} subtitle="トグルで表示切替" />
+            <Card title="Max DD Duration" value={`${result.maxDdDuration} ${freq.unit}`} />
+            <Card title="Max Losing Streak" value={`${result.maxLose} ${freq.unit}`} />
+            <Card
+              title={`${freq.label} Volatility`}
+              value={fmtPct(result.periodVol)}
+              subtitle={`年率換算: ${fmtPct(result.annualVol)}（×√${result.periodsPerYear}）`}
+            />
+            <Card title={`Worst 10 ${freq.unit} Avg`} value={fmtPct(result.worst10Avg)} />
+            <Card
+              title="Worst Calendar Year"
+              value={fmtPct(result.worstCalendarYear?.ret)}
+              subtitle={
+                result.worstCalendarYear
+                  ? `${result.worstCalendarYear.year} 年（1/1〜12/31 が揃った年のみ）`
+                  : "丸 1 暦年分のデータが無いと N/A"
+              }
+            />
+            <Card
+              title="Worst Rolling 12M"
+              value={fmtPct(result.worstRolling12m?.ret)}
+              subtitle={
+                result.worstRolling12m
+                  ? `${result.worstRolling12m.start} → ${result.worstRolling12m.end}`
+                  : "1 年分のデータが無いと N/A"
+              }
+            />
+            {csvInfo ? (
+              <Card title="Share this URL" value="N/A (CSV)" subtitle="CSVデータはURLで共有できません" />
+            ) : (
+              <Card title="Share this URL" value={shareUrl || "Loading..."} subtitle="同じ分析条件を再現" />
+            )}
+            <Card title="Worst / best list" value={showWorst ? "ON" : "OFF"} subtitle="トグルで表示切替" />
+          </div>
+
+          <h3 style={{ marginTop: 6 }}>Risk Metrics</h3>
+          <div
+            style={{
+              display: "grid",
+              gridTemplateColumns: "repeat(3, minmax(0, 1fr))",
+              gap: 12,
+              marginBottom: 18,
+            }}
+          >
+            <Card
+              title="Annualized Return"
+              value={fmtPct(result.metrics.annualReturn)}
+              subtitle={`CAGR（期間全体: ${fmtPct(result.metrics.totalReturn)}）`}
+            />
+            <Card title="Annualized Volatility" value={fmtPct(result.metrics.annualVol)} />
+            <Card
+              title="Sortino"
+              value={fmtNum(result.metrics.sortino)}
+              subtitle={`CAGR ÷ 年率下方偏差 ${fmtPct(result.metrics.downsideDev)}（目標 0%）`}
+            />
+            <Card title="Calmar" value={fmtNum(result.metrics.calmar)} subtitle="CAGR ÷ |Max DD|" />
+            <Card
+              title="Ulcer Index"
+              value={fmtPct(result.metrics.ulcerIndex)}
+              subtitle="DD の二乗平均平方根（深く長い DD ほど大きい）"
+            />
+            <Card title="Pain Index" value={fmtPct(result.metrics.painIndex)} subtitle="DD の平均の深さ" />
+            <Card
+              title={`VaR 95% / 99% (1 ${freq.unit.replace(/s$/, "")})`}
+              value={`${fmtPct(result.metrics.var95)} / ${fmtPct(result.metrics.var99)}`}
+              subtitle="historical（過去リターンの下側 5% / 1% 点）"
+            />
+            <Card
+              title={`CVaR 95% / 99% (1 ${freq.unit.replace(/s$/, "")})`}
+              value={`${fmtPct(result.metrics.cvar95)} / ${fmtPct(result.metrics.cvar99)}`}
+              subtitle="VaR を超えた損失の平均（expected shortfall）"
+            />
+            <Card
+              title="Time Underwater"
+              value={fmtPct(result.metrics.timeUnderwater)}
+              subtitle="高値を下回っていた期間の割合"
+            />
+            <Card
+              title="Skewness"
+              value={fmtNum(result.metrics.skewness)}
+              subtitle="負 = 大きな下落が片側に偏る"
+            />
+            <Card
+              title="Excess Kurtosis"
+              value={fmtNum(result.metrics.excessKurtosis)}
+              subtitle="正 = 正規分布より裾が厚い（極端な日が多い）"
+            />
           </div>
 
+          {nativeResult && (
+            <div style={{ overflowX: "auto", marginBottom: 18 }}>
+              <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+                <thead>
+                  <tr style={{ textAlign: "left", borderBottom: "1px solid #ddd" }}>
+                    <th style={{ padding: "8px 6px" }}>Metric</th>
+                    <th style={{ padding: "8px 6px" }}>in {priceInfo?.currency}</th>
+                    <th style={{ padding: "8px 6px" }}>USD (native)</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {COMPARE_ROWS.map((row) => (
+                    <tr key={row.label} style={{ borderBottom: "1px solid #f0f0f0" }}>
+                      <td style={{ padding: "8px 6px", color: "#666" }}>{row.label}</td>
+                      <td style={{ padding: "8px 6px", fontWeight: 650 }}>{row.get(result)}</td>
+                      <td style={{ padding: "8px 6px" }}>{row.get(nativeResult)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div style={{ color: "#888", fontSize: 12, marginTop: 8, lineHeight: 1.6 }}>
+                同じ日付の USD 建て終値で計算した指標と並べています（差 = 為替が痛みを増やした/和らげた分）。
+              </div>
+            </div>
+          )}
+
           <h3 style={{ marginTop: 6 }}>Equity Curve</h3>
           <ResponsiveContainer width="100%" height={260}>
             <LineChart data={result.chart}>
@@ -419,7 +1737,562 @@ export default function Home() {
           </ResponsiveContainer>
 
           <div style={{ marginTop: 26, display: "flex", alignItems: "center", gap: 10 }}>
-            <h3 style={{ margin: 0 }}>Worst Days (Top 10)</h3>
+            <h3 style={{ margin: 0 }}>Monthly Returns</h3>
+            <button
+              onClick={() =>
+                downloadText(exportFileName("monthly_returns.csv"), calendarCsv(result.calendar))
+              }
+              style={{
+                padding: "6px 10px",
+                borderRadius: 10,
+                border: "1px solid #ddd",
+                cursor: "pointer",
+                background: "white",
+              }}
+            >
+              Export CSV
+            </button>
+          </div>
+          <div style={{ overflowX: "auto", marginTop: 10 }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12, textAlign: "right" }}>
+              <thead>
+                <tr style={{ borderBottom: "1px solid #ddd" }}>
+                  <th style={{ padding: "6px 4px", textAlign: "left" }}>Year</th>
+                  {MONTH_LABELS.map((m) => (
+                    <th key={m} style={{ padding: "6px 4px" }}>
+                      {m}
+                    </th>
+                  ))}
+                  <th style={{ padding: "6px 4px" }}>Year</th>
+                  <th style={{ padding: "6px 4px" }}>Max DD</th>
+                  <th style={{ padding: "6px 4px" }}>Vol</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.calendar.map((y) => (
+                  <tr key={y.year} style={{ borderBottom: "1px solid #fff" }}>
+                    <td style={{ padding: "6px 4px", textAlign: "left", fontWeight: 650 }}>
+                      {y.year}
+                      {y.partial ? "*" : ""}
+                    </td>
+                    {y.months.map((r, i) => (
+                      <td key={i} style={{ padding: "6px 4px", background: heatColor(r, 0.1) }}>
+                        {r === null ? "" : (r * 100).toFixed(1)}
+                      </td>
+                    ))}
+                    <td style={{ padding: "6px 4px", fontWeight: 650, background: heatColor(y.total, 0.3) }}>
+                      {(y.total * 100).toFixed(1)}
+                    </td>
+                    <td style={{ padding: "6px 4px", background: heatColor(y.maxDD, 0.3) }}>
+                      {(y.maxDD * 100).toFixed(1)}
+                    </td>
+                    <td style={{ padding: "6px 4px" }}>{y.vol === undefined ? "" : (y.vol * 100).toFixed(1)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div style={{ color: "#888", fontSize: 12, marginTop: 8, lineHeight: 1.6 }}>
+              月末終値ベースのリターン（%）。Year = 年間リターン、Max DD = その年の中での最大下落（前年末を起点）、
+              Vol = その年の中のリターンの年率ボラ。* はデータ初日から始まる年、または年の途中で終わる年（年初来）。
+            </div>
+          </div>
+
+          <div style={{ marginTop: 26, display: "flex", alignItems: "center", gap: 10, flexWrap: "wrap" }}>
+            <h3 style={{ margin: 0 }}>Leveraged / Inverse</h3>
+            <select
+              value={leverage === null || !leverageAvailable ? "" : leverage}
+              onChange={(e) => setLeverage(e.target.value === "" ? null : Number(e.target.value))}
+              disabled={!leverageAvailable}
+              style={{ padding: "6px 10px", borderRadius: 10, border: "1px solid #ddd" }}
+            >
+              <option value="">Off</option>
+              {LEVERAGE_OPTIONS.map((l) => (
+                <option key={l} value={l}>
+                  {leverageLabel(l)} daily
+                </option>
+              ))}
+            </select>
+            <label style={{ color: "#666", fontSize: 13 }}>
+              cost{" "}
+              <input
+                type="number"
+                min={0}
+                max={20}
+                step={0.1}
+                value={Math.round(leverageCost * 10000) / 100}
+                onChange={(e) => {
+                  const v = Number(e.target.value);
+                  if (v >= 0 && v < 100) setLeverageCost(v / 100);
+                }}
+                disabled={!leverageAvailable}
+                aria-label="Expense + borrow cost (% per year)"
+                style={{ padding: "6px 10px", borderRadius: 10, border: "1px solid #ddd", width: 64 }}
+              />{" "}
+              %/yr
+            </label>
+          </div>
+          {!leverageAvailable ? (
+            <div style={{ color: "#888", fontSize: 13, marginTop: 8 }}>
+              leveraged / inverse は日次リバランスの合成なので、interval = 1d で読み込んだときだけ使えます
+              （{freq.label.toLowerCase()} の終値からでは毎日のリバランスと volatility decay を再現できません）。
+            </div>
+          ) : null}
+          {levered ? (
+            <>
+              <div
+                style={{
+                  display: "grid",
+                  gridTemplateColumns: "repeat(3, minmax(0, 1fr))",
+                  gap: 12,
+                  marginTop: 10,
+                  marginBottom: 12,
+                }}
+              >
+                <Card
+                  title={`${leverageLabel(leverage)} Total Return`}
+                  value={fmtPct(levered.result.metrics.totalReturn)}
+                  subtitle={`原資産: ${fmtPct(result.metrics.totalReturn)}`}
+                />
+                <Card
+                  title={`${leverageLabel(leverage)} × Underlying Return`}
+                  value={fmtPct(levered.naiveTotal)}
+                  subtitle="毎日リバランスせず期間リターンを単純に倍率倍した場合"
+                />
+                <Card
+                  title="Volatility Decay + Cost"
+                  value={fmtPct(levered.gap)}
+                  subtitle={
+                    levered.wipedOut
+                      ? `${levered.wipedOut} に -100% に到達（以降は計算なし）`
+                      : "実際の leveraged リターン − 単純な倍率倍"
+                  }
+                />
+              </div>
+              <div style={{ overflowX: "auto", marginBottom: 12 }}>
+                <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+                  <thead>
+                    <tr style={{ textAlign: "left", borderBottom: "1px solid #ddd" }}>
+                      <th style={{ padding: "8px 6px" }}>Metric</th>
+                      <th style={{ padding: "8px 6px" }}>1x</th>
+                      <th style={{ padding: "8px 6px" }}>{leverageLabel(leverage)}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {COMPARE_ROWS.map((row) => (
+                      <tr key={row.label} style={{ borderBottom: "1px solid #f0f0f0" }}>
+                        <td style={{ padding: "8px 6px", color: "#666" }}>{row.label}</td>
+                        <td style={{ padding: "8px 6px" }}>{row.get(result)}</td>
+                        <td style={{ padding: "8px 6px", fontWeight: 650 }}>{row.get(levered.result)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <ResponsiveContainer width="100%" height={240}>
+                <LineChart data={levered.chart}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="date" hide />
+                  <YAxis tickFormatter={(v) => Number(v).toFixed(2)} />
+                  <Tooltip formatter={(v) => Number(v).toFixed(4)} />
+                  <Legend />
+                  <Line type="monotone" dataKey="equity" name="1x equity" stroke="#2563eb" dot={false} />
+                  <Line
+                    type="monotone"
+                    dataKey="levEquity"
+                    name={`${leverageLabel(leverage)} equity`}
+                    stroke="#dc2626"
+                    dot={false}
+                    connectNulls={false}
+                  />
+                </LineChart>
+              </ResponsiveContainer>
+              <ResponsiveContainer width="100%" height={200}>
+                <LineChart data={levered.chart}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="date" hide />
+                  <YAxis tickFormatter={(v) => `${Number(v).toFixed(0)}%`} />
+                  <Tooltip formatter={(v) => `${Number(v).toFixed(2)}%`} />
+                  <Legend />
+                  <Line type="monotone" dataKey="drawdown" name="1x drawdown" stroke="#2563eb" dot={false} />
+                  <Line
+                    type="monotone"
+                    dataKey="levDrawdown"
+                    name={`${leverageLabel(leverage)} drawdown`}
+                    stroke="#dc2626"
+                    dot={false}
+                    connectNulls={false}
+                  />
+                </LineChart>
+              </ResponsiveContainer>
+              <div style={{ color: "#888", fontSize: 12, marginTop: 8, lineHeight: 1.6 }}>
+                各日のリターン × {leverage} − コスト（年率 {fmtNum(leverageCost * 100, 1)}% を本数で按分）で毎回リバランスした合成系列。
+                値動きが大きいほど単純な倍率倍から離れる（volatility decay）。金利・トラッキング誤差・日中の値動きは考慮していません。
+              </div>
+            </>
+          ) : null}
+
+          <div style={{ marginTop: 26, display: "flex", alignItems: "center", gap: 10 }}>
+            <h3 style={{ margin: 0 }}>Rolling Metrics</h3>
+            <select
+              value={rollingDays}
+              onChange={(e) => setRollingDays(Number(e.target.value))}
+              style={{ padding: "6px 10px", borderRadius: 10, border: "1px solid #ddd" }}
+            >
+              {ROLLING_WINDOWS.map((d) => (
+                <option key={d} value={d}>
+                  {rollingBars(d, result.periodsPerYear)} {freq.unit}
+                  {result.frequency === "1d" ? "" : ` (≈${d}d)`}
+                </option>
+              ))}
+            </select>
+          </div>
+          {[
+            { key: `vol_${rollingDays}`, title: "Annualized Volatility (%)", color: "#7c3aed", unit: "%" },
+            { key: `maxdd_${rollingDays}`, title: "Max Drawdown within window (%)", color: "#dc2626", unit: "%" },
+            { key: `pain_${rollingDays}`, title: "Pain Score", color: "#d97706", unit: "" },
+          ].map((panel) => (
+            <div key={panel.key} style={{ marginTop: 10 }}>
+              <div style={{ color: "#666", fontSize: 13, marginBottom: 4 }}>{panel.title}</div>
+              <ResponsiveContainer width="100%" height={160}>
+                <LineChart data={result.rolling}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="date" hide />
+                  <YAxis
+                    domain={panel.unit ? ["auto", "auto"] : [0, 100]}
+                    tickFormatter={(v) => `${Number(v).toFixed(0)}${panel.unit}`}
+                  />
+                  <Tooltip formatter={(v) => `${Number(v).toFixed(panel.unit ? 2 : 0)}${panel.unit}`} />
+                  <Line
+                    type="monotone"
+                    dataKey={panel.key}
+                    name={panel.title}
+                    stroke={panel.color}
+                    dot={false}
+                    connectNulls={false}
+                  />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          ))}
+          <div style={{ color: "#888", fontSize: 12, marginTop: 8, lineHeight: 1.6 }}>
+            各日付で直近 {rollingBars(rollingDays, result.periodsPerYear)} {freq.unit} だけを使って計算（window
+            に満たない期間は空白）。Pain Score は選択中の Pain model で window ごとに再計算しています。
+          </div>
+
+          {result.distribution && (
+            <>
+              <h3 style={{ marginTop: 26 }}>Return Distribution ({freq.label})</h3>
+              <ResponsiveContainer width="100%" height={240}>
+                <ComposedChart data={result.distribution.histogram} barCategoryGap={1}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="x" tickFormatter={(v) => `${Number(v).toFixed(1)}%`} minTickGap={20} />
+                  <YAxis allowDecimals={false} />
+                  <Tooltip
+                    labelFormatter={(v) => `≈ ${Number(v).toFixed(2)}%`}
+                    formatter={(v, name) => [Number(v).toFixed(name === "Normal fit" ? 1 : 0), name]}
+                  />
+                  <Legend />
+                  <Bar dataKey="count" name={`${freq.unit} (count)`} isAnimationActive={false}>
+                    {result.distribution.histogram.map((b) => (
+                      <Cell
+                        key={b.x}
+                        fill={result.metrics.var95 !== undefined && b.to <= result.metrics.var95 ? "#dc2626" : "#2563eb"}
+                      />
+                    ))}
+                  </Bar>
+                  <Line type="monotone" dataKey="normal" name="Normal fit" stroke="#111" dot={false} />
+                  {varMarkers.map((m) => (
+                    <ReferenceLine
+                      key={m.label}
+                      x={m.x}
+                      stroke={m.color}
+                      strokeDasharray="4 4"
+                      label={{ value: m.label, position: "top", fontSize: 11, fill: m.color }}
+                    />
+                  ))}
+                </ComposedChart>
+              </ResponsiveContainer>
+
+              <h3 style={{ marginTop: 26 }}>QQ Plot vs Normal</h3>
+              <ResponsiveContainer width="100%" height={260}>
+                <ComposedChart data={result.distribution.qq}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis
+                    dataKey="z"
+                    type="number"
+                    domain={["dataMin", "dataMax"]}
+                    tickFormatter={(v) => Number(v).toFixed(1)}
+                    label={{ value: "normal quantile (z)", position: "insideBottom", offset: -2, fontSize: 12 }}
+                  />
+                  <YAxis tickFormatter={(v) => `${Number(v).toFixed(1)}%`} />
+                  <Tooltip
+                    labelFormatter={(v) => `z = ${Number(v).toFixed(2)}`}
+                    formatter={(v, name) => [`${Number(v).toFixed(2)}%`, name]}
+                  />
+                  <Legend verticalAlign="top" />
+                  <Scatter dataKey="sample" name="Sample quantile" fill="#2563eb" isAnimationActive={false} />
+                  <Line type="linear" dataKey="normal" name="Normal" stroke="#111" dot={false} />
+                </ComposedChart>
+              </ResponsiveContainer>
+              <div style={{ color: "#888", fontSize: 12, marginTop: 8, lineHeight: 1.6 }}>
+                平均 {fmtPct(result.distribution.mean)}・標準偏差 {fmtPct(result.distribution.sd)} の正規分布と比較（
+                {result.distribution.count} {freq.unit}）。赤い階級は VaR 95% より悪いリターン。QQ
+                の点が直線より下（左端）に外れるほど、正規分布より大きな下落が多い = fat tail。
+              </div>
+            </>
+          )}
+
+          {benchResult?.error && (
+            <div style={{ color: "crimson", marginTop: 18 }}>
+              Benchmark {benchmarkData.symbol}: {benchResult.error}
+            </div>
+          )}
+
+          {benchResult && !benchResult.error && (
+            <>
+              <h3 style={{ marginTop: 26 }}>vs {benchmarkData.symbol}</h3>
+              <div
+                style={{
+                  display: "grid",
+                  gridTemplateColumns: "repeat(3, minmax(0, 1fr))",
+                  gap: 12,
+                  marginBottom: 18,
+                }}
+              >
+                <Card
+                  title="Beta"
+                  value={fmtNum(benchResult.beta)}
+                  subtitle={`Correlation: ${fmtNum(benchResult.correlation)}`}
+                />
+                <Card
+                  title="Tracking Error"
+                  value={fmtPct(benchResult.trackingError)}
+                  subtitle="超過リターンの標準偏差（年率）"
+                />
+                <Card
+                  title="Up / Down Capture"
+                  value={`${fmtPct(benchResult.upCapture)} / ${fmtPct(benchResult.downCapture)}`}
+                  subtitle={`${benchmarkData.symbol} 上昇 / 下落${freq.unit}の幾何平均リターン比`}
+                />
+                <Card
+                  title="Relative Max Drawdown"
+                  value={fmtPct(benchResult.relMaxDD)}
+                  subtitle={`相対 equity（対 ${benchmarkData.symbol}）の最大下落`}
+                />
+                <Card
+                  title="Relative Return"
+                  value={fmtPct(benchResult.relReturn)}
+                  subtitle={`${benchResult.start} 〜 ${benchResult.end}（共通 ${benchResult.count} 本）`}
+                />
+              </div>
+
+              <h3 style={{ marginTop: 6 }}>Relative Equity (vs {benchmarkData.symbol})</h3>
+              <ResponsiveContainer width="100%" height={220}>
+                <LineChart data={benchResult.chart}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="date" hide />
+                  <YAxis yAxisId="rel" tickFormatter={(v) => Number(v).toFixed(2)} />
+                  <YAxis yAxisId="dd" orientation="right" tickFormatter={(v) => `${Number(v).toFixed(0)}%`} />
+                  <Tooltip />
+                  <Legend />
+                  <Line yAxisId="rel" type="monotone" dataKey="relative" name="Ratio" dot={false} />
+                  <Line
+                    yAxisId="dd"
+                    type="monotone"
+                    dataKey="relDrawdown"
+                    name="Relative DD (%)"
+                    stroke="#dc2626"
+                    dot={false}
+                  />
+                </LineChart>
+              </ResponsiveContainer>
+
+              <h3 style={{ marginTop: 26 }}>During {benchmarkData.symbol}&apos;s worst drawdowns</h3>
+              <div style={{ overflowX: "auto", marginTop: 10 }}>
+                <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+                  <thead>
+                    <tr style={{ textAlign: "left", borderBottom: "1px solid #ddd" }}>
+                      <th style={{ padding: "8px 6px" }}>Peak → Trough</th>
+                      <th style={{ padding: "8px 6px" }}>{benchmarkData.symbol} depth</th>
+                      <th style={{ padding: "8px 6px" }}>Asset return</th>
+                      <th style={{ padding: "8px 6px" }}>Asset max DD</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {benchResult.benchEpisodes.map((ep) => (
+                      <tr key={ep.peakDate} style={{ borderBottom: "1px solid #f0f0f0" }}>
+                        <td style={{ padding: "8px 6px" }}>
+                          {ep.peakDate} → {ep.troughDate}
+                        </td>
+                        <td style={{ padding: "8px 6px" }}>{fmtPct(ep.benchmarkDepth)}</td>
+                        <td
+                          style={{
+                            padding: "8px 6px",
+                            fontWeight: 650,
+                            color: ep.assetReturn < 0 ? "crimson" : "#16a34a",
+                          }}
+                        >
+                          {fmtPct(ep.assetReturn)}
+                        </td>
+                        <td style={{ padding: "8px 6px" }}>{fmtPct(ep.assetMaxDD)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {!benchResult.benchEpisodes.length ? (
+                  <div style={{ color: "#888", fontSize: 13, marginTop: 8 }}>
+                    {benchmarkData.symbol} にこの閾値（≥{Math.round(ddThreshold * 100)}%）を超える drawdown はありません。
+                  </div>
+                ) : null}
+                <div style={{ color: "#888", fontSize: 12, marginTop: 8, lineHeight: 1.6 }}>
+                  ベンチマークの peak → trough 区間で、分析対象がどう動いたか（深い順、最大 5 件）。
+                </div>
+              </div>
+            </>
+          )}
+
+          <div style={{ marginTop: 26, display: "flex", alignItems: "center", gap: 10 }}>
+            <h3 style={{ margin: 0 }}>Drawdown Episodes</h3>
+            <select
+              value={ddThreshold}
+              onChange={(e) => setDdThreshold(Number(e.target.value))}
+              style={{ padding: "6px 10px", borderRadius: 10, border: "1px solid #ddd" }}
+            >
+              {EPISODE_THRESHOLDS.map((t) => (
+                <option key={t} value={t}>
+                  ≥ {Math.round(t * 100)}%
+                </option>
+              ))}
+            </select>
+            <span style={{ color: "#666", fontSize: 13 }}>{result.ddEpisodes.length} episodes</span>
+          </div>
+
+          <div style={{ overflowX: "auto", marginTop: 10 }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+              <thead>
+                <tr style={{ textAlign: "left", borderBottom: "1px solid #ddd" }}>
+                  {EPISODE_COLUMNS.map((c) => (
+                    <th
+                      key={c.key}
+                      onClick={() => onSortEpisodes(c.key)}
+                      style={{ padding: "8px 6px", cursor: "pointer", userSelect: "none" }}
+                    >
+                      {c.label}
+                      {episodeSort.key === c.key ? (episodeSort.dir === "asc" ? " ▲" : " ▼") : ""}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {sortedEpisodes.map((ep) => (
+                  <tr key={ep.peakDate} style={{ borderBottom: "1px solid #f0f0f0" }}>
+                    <td style={{ padding: "8px 6px" }}>{ep.peakDate}</td>
+                    <td style={{ padding: "8px 6px" }}>{ep.troughDate}</td>
+                    <td style={{ padding: "8px 6px", color: ep.recoveryDate ? undefined : "crimson" }}>
+                      {ep.recoveryDate || "not recovered"}
+                    </td>
+                    <td style={{ padding: "8px 6px", fontWeight: 650 }}>{fmtPct(ep.depth)}</td>
+                    <td style={{ padding: "8px 6px" }}>
+                      {ep.daysToTrough} {freq.unit}
+                    </td>
+                    <td style={{ padding: "8px 6px" }}>
+                      {ep.daysToRecover === null ? "-" : `${ep.daysToRecover} ${freq.unit}`}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {!sortedEpisodes.length ? (
+              <div style={{ color: "#888", fontSize: 13, marginTop: 8 }}>
+                この閾値を超える drawdown はありません。
+              </div>
+            ) : null}
+            <div style={{ color: "#888", fontSize: 12, marginTop: 8, lineHeight: 1.6 }}>
+              高値 → 底 → 高値回復 を 1 episode として列挙（期間は {freq.unit} ベース）。列見出しクリックで並べ替え。
+            </div>
+          </div>
+
+          {portfolioRun && attribution.length > 0 && (
+            <>
+              <h3 style={{ marginTop: 26 }}>Drawdown Attribution (worst {attribution.length})</h3>
+              <div style={{ overflowX: "auto", marginTop: 10 }}>
+                <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+                  <thead>
+                    <tr style={{ textAlign: "left", borderBottom: "1px solid #ddd" }}>
+                      <th style={{ padding: "8px 6px" }}>Peak → Trough</th>
+                      <th style={{ padding: "8px 6px" }}>Depth</th>
+                      {portfolio.assets.map((a, i) => (
+                        <th key={a.symbol} style={{ padding: "8px 6px", color: COMPARE_COLORS[i] }}>
+                          {a.symbol}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {attribution.map((ep) => (
+                      <tr key={ep.peakDate} style={{ borderBottom: "1px solid #f0f0f0" }}>
+                        <td style={{ padding: "8px 6px" }}>
+                          {ep.peakDate} → {ep.troughDate}
+                        </td>
+                        <td style={{ padding: "8px 6px", fontWeight: 650 }}>{fmtPct(ep.depth)}</td>
+                        {ep.contributions.map((c) => (
+                          <td
+                            key={c.symbol}
+                            style={{ padding: "8px 6px", color: c.contribution < 0 ? "crimson" : "#16a34a" }}
+                          >
+                            {fmtPct(c.contribution)}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div style={{ color: "#888", fontSize: 12, marginTop: 8, lineHeight: 1.6 }}>
+                  peak → trough 間の各資産の損益を peak 時点のポートフォリオ価値で割った寄与度（合計 = Depth）。
+                </div>
+              </div>
+            </>
+          )}
+
+          <div style={{ marginTop: 26, display: "flex", alignItems: "center", gap: 10, flexWrap: "wrap" }}>
+            <h3 style={{ margin: 0 }}>{extremesTitle(extremesKind, freq, result.extremes)}</h3>
+            <select
+              value={extremesKind}
+              onChange={(e) => setExtremesKind(e.target.value)}
+              style={{ padding: "6px 10px", borderRadius: 10, border: "1px solid #ddd" }}
+            >
+              {EXTREME_TABLES.map((t) => (
+                <option key={t.key} value={t.key}>
+                  {extremesTitle(t.key, freq, result.extremes)}
+                </option>
+              ))}
+            </select>
+            <select
+              value={topN}
+              onChange={(e) => setTopN(Number(e.target.value))}
+              title="表示件数"
+              style={{ padding: "6px 10px", borderRadius: 10, border: "1px solid #ddd" }}
+            >
+              {TOP_N_OPTIONS.map((n) => (
+                <option key={n} value={n}>
+                  Top {n}
+                </option>
+              ))}
+            </select>
+            {extremesKind === "worstRolling" ? (
+              <select
+                value={rollingWindow}
+                onChange={(e) => setRollingWindow(Number(e.target.value))}
+                title="rolling window の本数"
+                style={{ padding: "6px 10px", borderRadius: 10, border: "1px solid #ddd" }}
+              >
+                {ROLLING_WINDOW_OPTIONS.map((n) => (
+                  <option key={n} value={n}>
+                    {n} {freq.unit}
+                  </option>
+                ))}
+              </select>
+            ) : null}
             <button
               onClick={() => setShowWorst((v) => !v)}
               style={{
@@ -442,26 +2315,344 @@ export default function Home() {
                     <th style={{ padding: "8px 6px" }}>Rank</th>
                     <th style={{ padding: "8px 6px" }}>Date</th>
                     <th style={{ padding: "8px 6px" }}>Return</th>
+                    <th style={{ padding: "8px 6px" }}>Drawdown at date</th>
                   </tr>
                 </thead>
                 <tbody>
-                  {result.worstDays.map((w) => (
+                  {extremesRows.map((w) => (
                     <tr key={w.rank} style={{ borderBottom: "1px solid #f0f0f0" }}>
                       <td style={{ padding: "8px 6px" }}>{w.rank}</td>
-                      <td style={{ padding: "8px 6px" }}>{w.date}</td>
+                      <td style={{ padding: "8px 6px" }}>{extremesPeriod(w)}</td>
                       <td style={{ padding: "8px 6px", fontWeight: 650 }}>
                         {w.retPct.toFixed(2)}%
                       </td>
+                      <td style={{ padding: "8px 6px", background: heatColor(w.ddPct / 100, 0.5) }}>
+                        {w.ddPct.toFixed(2)}%
+                      </td>
                     </tr>
                   ))}
                 </tbody>
               </table>
+              {!extremesRows.length ? (
+                <div style={{ color: "#888", fontSize: 13, marginTop: 8 }}>
+                  この頻度・期間では作れません（月次データの暦週、window より短い系列など）。
+                </div>
+              ) : null}
               <div style={{ color: "#888", fontSize: 12, marginTop: 8, lineHeight: 1.6 }}>
-                Worst days は「その日（終値ベース）のリターン」が最も悪い日付を並べています（四捨五入表示）。
+                Return は終値ベース（週・月は前の週末・月末の終値から）。Drawdown at date = その日（期間末）の高値からの下落率で、
+                大きな DD の最中に集中しているかを確認できます。Rolling window は期間が重ならないものだけを選んでいます。
               </div>
             </div>
           )}
 
+          <h3 style={{ marginTop: 26 }}>Crisis Windows</h3>
+          <div style={{ overflowX: "auto", marginTop: 10 }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+              <thead>
+                <tr style={{ textAlign: "left", borderBottom: "1px solid #ddd" }}>
+                  <th style={{ padding: "8px 6px" }}>Window</th>
+                  <th style={{ padding: "8px 6px" }}>Return</th>
+                  <th style={{ padding: "8px 6px" }}>Max DD</th>
+                  <th style={{ padding: "8px 6px" }}>Trough</th>
+                  <th style={{ padding: "8px 6px" }}>Recovery</th>
+                  <th style={{ padding: "8px 6px" }} />
+                </tr>
+              </thead>
+              <tbody>
+                {crisisRows.map((w) => (
+                  <tr key={w.id} style={{ borderBottom: "1px solid #f0f0f0" }}>
+                    <td style={{ padding: "8px 6px" }}>
+                      <div>{w.label}</div>
+                      <div style={{ color: "#888", fontSize: 12 }}>
+                        {w.start} 〜 {w.end}
+                      </div>
+                    </td>
+                    {w.status === "ok" || w.status === "partial" ? (
+                      <>
+                        <td style={{ padding: "8px 6px", fontWeight: 650 }}>{fmtPct(w.ret)}</td>
+                        <td style={{ padding: "8px 6px" }}>{fmtPct(w.maxDD)}</td>
+                        <td style={{ padding: "8px 6px" }}>{w.troughDate}</td>
+                        <td style={{ padding: "8px 6px", color: w.recoveryDate ? undefined : "crimson" }}>
+                          {w.recoveryDate
+                            ? `${w.recoveryDate}（${w.recoveryDays} ${crisisUnit}）`
+                            : "not recovered"}
+                        </td>
+                        <td style={{ padding: "8px 6px", color: "#b45309", fontSize: 12 }}>
+                          {w.status === "partial" ? `データは ${w.firstDate} から（途中から計算）` : ""}
+                        </td>
+                      </>
+                    ) : (
+                      <td colSpan={5} style={{ padding: "8px 6px", color: "#888" }}>
+                        {w.status === "predates"
+                          ? `データ開始（${w.firstDate}）より前の期間`
+                          : w.status === "after"
+                            ? `データ終了（${w.lastDate}）より後の期間`
+                            : "期間内のデータが足りません"}
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {crisisWindows.length ? (
+              <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginTop: 8 }}>
+                {crisisWindows.map((w) => (
+                  <button
+                    key={w.id}
+                    onClick={() => setCrisisWindows((cur) => cur.filter((x) => x.id !== w.id))}
+                    style={{
+                      padding: "3px 8px",
+                      borderRadius: 999,
+                      border: "1px solid #ddd",
+                      background: "white",
+                      cursor: "pointer",
+                      fontSize: 12,
+                      color: "#555",
+                    }}
+                  >
+                    {w.label} ×
+                  </button>
+                ))}
+              </div>
+            ) : null}
+            <div
+              style={{
+                display: "flex",
+                gap: 6,
+                alignItems: "center",
+                flexWrap: "wrap",
+                marginTop: 10,
+                fontSize: 13,
+                color: "#666",
+              }}
+            >
+              <span>Add window:</span>
+              <input
+                type="date"
+                value={crisisInput.start}
+                onChange={(e) => setCrisisInput({ ...crisisInput, start: e.target.value })}
+                aria-label="Crisis window start"
+                style={{ padding: "6px 8px", borderRadius: 8, border: "1px solid #ddd" }}
+              />
+              〜
+              <input
+                type="date"
+                value={crisisInput.end}
+                onChange={(e) => setCrisisInput({ ...crisisInput, end: e.target.value })}
+                aria-label="Crisis window end"
+                style={{ padding: "6px 8px", borderRadius: 8, border: "1px solid #ddd" }}
+              />
+              <input
+                value={crisisInput.label}
+                onChange={(e) => setCrisisInput({ ...crisisInput, label: e.target.value })}
+                placeholder="Label (optional)"
+                style={{ padding: "6px 8px", borderRadius: 8, border: "1px solid #ddd", width: 140 }}
+              />
+              <button
+                onClick={onAddCrisisWindow}
+                style={{
+                  padding: "6px 10px",
+                  borderRadius: 10,
+                  border: "1px solid #ddd",
+                  cursor: "pointer",
+                  background: "white",
+                }}
+              >
+                Add
+              </button>
+            </div>
+            <div style={{ color: "#888", fontSize: 12, marginTop: 8, lineHeight: 1.6 }}>
+              {crisisPoints
+                ? "MAX 期間の日次データで計算（上の分析期間とは独立）。"
+                : "読み込み中の系列で計算（単一銘柄以外は MAX 日次を取得しません）。"}
+              Return = 窓の最初と最後の終値、Recovery = 窓内の底から、その前の高値を回復するまで（窓の後も追跡）。
+            </div>
+          </div>
+
+          <div style={{ marginTop: 26, display: "flex", alignItems: "center", gap: 10 }}>
+            <h3 style={{ margin: 0 }}>Holding Periods</h3>
+            <select
+              value={holdingYears}
+              onChange={(e) => setHoldingYears(Number(e.target.value))}
+              style={{ padding: "6px 10px", borderRadius: 10, border: "1px solid #ddd" }}
+            >
+              {HOLDING_YEARS.map((y) => (
+                <option key={y} value={y}>
+                  {y}-year hold
+                </option>
+              ))}
+            </select>
+            {holding ? <span style={{ color: "#666", fontSize: 13 }}>{holding.count} entry dates</span> : null}
+          </div>
+          {holding ? (
+            <>
+              <div
+                style={{
+                  display: "grid",
+                  gridTemplateColumns: "repeat(3, minmax(0, 1fr))",
+                  gap: 12,
+                  marginTop: 10,
+                  marginBottom: 12,
+                }}
+              >
+                <Card
+                  title={`Median ${holdingYears}-year Return`}
+                  value={fmtPct(holding.summary.fwdRet.median)}
+                  subtitle={`年率 ${fmtPct(holding.summary.annualizedMedian)} / 5%〜95%: ${fmtPct(
+                    holding.summary.fwdRet.p5
+                  )} 〜 ${fmtPct(holding.summary.fwdRet.p95)}`}
+                />
+                <Card
+                  title="Worst / Best Entry"
+                  value={`${fmtPct(holding.summary.fwdRet.worst)} / ${fmtPct(holding.summary.fwdRet.best)}`}
+                />
+                <Card
+                  title={`Underwater after ${holdingYears}y`}
+                  value={fmtPct(holding.summary.underwaterShare)}
+                  subtitle="保有期間後に買値を下回っていた entry の割合"
+                />
+                <Card
+                  title="Max DD while holding"
+                  value={fmtPct(holding.summary.maxDD.median)}
+                  subtitle={`中央値（最悪: ${fmtPct(holding.summary.maxDD.worst)}）`}
+                />
+                <Card
+                  title="Time to Breakeven"
+                  value={
+                    holding.summary.breakeven.median === undefined
+                      ? "N/A"
+                      : `${holding.summary.breakeven.median} ${freq.unit}`
+                  }
+                  subtitle={`中央値（最長: ${holding.summary.breakeven.worst ?? "N/A"} ${freq.unit}${
+                    holding.summary.breakeven.unrecovered ? ` / 未回復 ${holding.summary.breakeven.unrecovered} 件` : ""
+                  }）`}
+                />
+              </div>
+              <ResponsiveContainer width="100%" height={220}>
+                <LineChart data={holding.chart}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="date" hide />
+                  <YAxis tickFormatter={(v) => `${Number(v).toFixed(0)}%`} />
+                  <Tooltip labelFormatter={(d) => `entry ${d}`} formatter={(v) => `${Number(v).toFixed(2)}%`} />
+                  <Legend />
+                  <ReferenceLine y={0} stroke="#999" />
+                  <Line type="monotone" dataKey="fwdRet" name={`${holdingYears}y return`} stroke="#2563eb" dot={false} />
+                  <Line type="monotone" dataKey="maxDD" name="Max DD while holding" stroke="#dc2626" dot={false} />
+                </LineChart>
+              </ResponsiveContainer>
+              <div style={{ color: "#888", fontSize: 12, marginTop: 8, lineHeight: 1.6 }}>
+                読み込み中の系列の各日に買って {holdingYears} 年（{holding.horizon} {freq.unit}）保有した場合の結果（横軸 = 買った日）。
+                Time to Breakeven は買った日から、いったん買値を下回った後に買値以上へ戻るまでの期間（保有期間の後も追跡、0 = 買った後に一度も買値を下回らず）。
+              </div>
+            </>
+          ) : (
+            <div style={{ color: "#888", fontSize: 13, marginTop: 8 }}>
+              {holdingYears} 年保有を評価するには系列が短すぎます（period を長くするか MAX を選択）。
+            </div>
+          )}
+
+          <div style={{ marginTop: 26, display: "flex", alignItems: "center", gap: 10, flexWrap: "wrap" }}>
+            <h3 style={{ margin: 0 }}>Resampled Pain (Block Bootstrap)</h3>
+            <select
+              value={bootstrapSamples}
+              onChange={(e) => setBootstrapSamples(Number(e.target.value))}
+              style={{ padding: "6px 10px", borderRadius: 10, border: "1px solid #ddd" }}
+            >
+              {BOOTSTRAP_SAMPLES.map((n) => (
+                <option key={n} value={n}>
+                  {n} paths
+                </option>
+              ))}
+            </select>
+            <select
+              value={bootstrapBlockDays}
+              onChange={(e) => setBootstrapBlockDays(Number(e.target.value))}
+              style={{ padding: "6px 10px", borderRadius: 10, border: "1px solid #ddd" }}
+            >
+              {BOOTSTRAP_BLOCK_DAYS.map((d) => (
+                <option key={d} value={d}>
+                  block {d}d
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={() => setBootstrapOn((v) => !v)}
+              style={{
+                padding: "6px 10px",
+                borderRadius: 10,
+                border: "1px solid #ddd",
+                cursor: "pointer",
+                background: "white",
+              }}
+            >
+              {bootstrapOn ? "Hide" : "Run"}
+            </button>
+          </div>
+          {bootstrapOn && !bootstrap ? (
+            <div style={{ color: "#888", fontSize: 13, marginTop: 8 }}>
+              resample するにはデータが短すぎます（block 1 つ分以上の本数が必要）。
+            </div>
+          ) : null}
+          {bootstrap ? (
+            <>
+              <div style={{ overflowX: "auto", marginTop: 10 }}>
+                <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+                  <thead>
+                    <tr style={{ textAlign: "left", borderBottom: "1px solid #ddd" }}>
+                      <th style={{ padding: "8px 6px" }}>Metric</th>
+                      <th style={{ padding: "8px 6px" }}>Realized</th>
+                      <th style={{ padding: "8px 6px" }}>5th pct</th>
+                      <th style={{ padding: "8px 6px" }}>Median</th>
+                      <th style={{ padding: "8px 6px" }}>95th pct</th>
+                      <th style={{ padding: "8px 6px" }}>Paths worse than realized</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {[
+                      { label: "Max Drawdown", stat: bootstrap.maxDD, fmt: (v) => fmtPct(v) },
+                      {
+                        label: "Max DD Duration",
+                        stat: bootstrap.maxDdDuration,
+                        fmt: (v) => `${Math.round(v)} ${freq.unit}`,
+                      },
+                      { label: "Pain Score", stat: bootstrap.painScore, fmt: (v) => fmtNum(v, 0) },
+                    ].map(({ label, stat, fmt }) => (
+                      <tr key={label} style={{ borderBottom: "1px solid #f0f0f0" }}>
+                        <td style={{ padding: "8px 6px", fontWeight: 650 }}>{label}</td>
+                        <td style={{ padding: "8px 6px" }}>{fmt(stat.realized)}</td>
+                        <td style={{ padding: "8px 6px" }}>{fmt(stat.p5)}</td>
+                        <td style={{ padding: "8px 6px" }}>{fmt(stat.median)}</td>
+                        <td style={{ padding: "8px 6px" }}>{fmt(stat.p95)}</td>
+                        <td style={{ padding: "8px 6px" }}>{fmtPct(stat.worseShare)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <ResponsiveContainer width="100%" height={200}>
+                <ComposedChart data={bootstrap.maxDDHistogram} barCategoryGap={1}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="x" tickFormatter={(v) => `${Number(v).toFixed(0)}%`} minTickGap={20} />
+                  <YAxis allowDecimals={false} />
+                  <Tooltip labelFormatter={(v) => `Max DD ≈ ${Number(v).toFixed(1)}%`} />
+                  <Bar dataKey="count" name="paths" isAnimationActive={false}>
+                    {bootstrap.maxDDHistogram.map((b) => (
+                      <Cell
+                        key={b.x}
+                        fill={b.from <= bootstrap.maxDD.realized && bootstrap.maxDD.realized <= b.to ? "#dc2626" : "#2563eb"}
+                      />
+                    ))}
+                  </Bar>
+                </ComposedChart>
+              </ResponsiveContainer>
+              <div style={{ color: "#888", fontSize: 12, marginTop: 8, lineHeight: 1.6 }}>
+                実際の {freq.label.toLowerCase()} リターン（{bootstrap.count} 本）を {bootstrap.blockLength} {freq.unit}{" "}
+                ずつのブロックでランダムにつなぎ直した {bootstrap.samples} 通りの「別の歴史」での分布（赤 = 実際の Max DD
+                を含むビン）。同じリターンの並べ替えなので予測ではなく、実際の経路がどれだけ運が良かった／悪かったかの目安です。
+              </div>
+            </>
+          ) : null}
+
           <div style={{ marginTop: 28, fontSize: 12, color: "#888", lineHeight: 1.6 }}>
             注意：本ツールは教育・分析目的であり、投資助言ではありません。将来の成果を保証しません。
           </div>
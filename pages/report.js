@@ -0,0 +1,331 @@
+// web/pages/report.js
+//
+// Printable analysis report: /report?ticker=GLD&period=5Y
+// Same query params as the home page share URL (adjust, interval, start/end, currency,
+// painModel / painWeights / painRefs). Everything is computed and rendered on the server
+// (charts are plain SVG) so "Print -> Save as PDF" works without waiting for client JS.
+import { analyze, frequencyInfo, PAIN_PRESETS, parsePainModel } from "../lib/analyze";
+import {
+  loadPricePoints,
+  normalizeAdjust,
+  normalizeCurrency,
+  normalizeInterval,
+  normalizePeriod,
+  normalizeSymbol,
+  parseDateWindow,
+} from "../lib/prices";
+import { ProviderError } from "../lib/providers";
+
+const CHART_W = 720;
+const EPISODES_SHOWN = 10;
+
+function fmtPct(x) {
+  if (x === undefined || x === null || !Number.isFinite(x)) return "N/A";
+  return (x * 100).toFixed(2) + "%";
+}
+
+function fmtNum(x, digits = 2) {
+  if (x === undefined || x === null || !Number.isFinite(x)) return "N/A";
+  return Number(x).toFixed(digits);
+}
+
+// undefined は getServerSideProps の props に載せられないので JSON 往復で落とす
+function serializable(x) {
+  return JSON.parse(JSON.stringify(x));
+}
+
+export async function getServerSideProps({ query, res }) {
+  const symbol = normalizeSymbol(query.ticker);
+  const period = normalizePeriod(query.period);
+  const adjust = normalizeAdjust(query.adjust);
+  const interval = normalizeInterval(query.interval);
+  const currency = normalizeCurrency(query.currency);
+  const { start, end, error: windowError } = parseDateWindow(query);
+  const pain = parsePainModel({
+    preset: query.painModel,
+    weights: query.painWeights,
+    refs: query.painRefs,
+  });
+
+  let error = null;
+  if (!symbol) error = "ticker is required";
+  else if (/[,:\s]/.test(symbol)) error = "The printable report supports a single ticker only";
+  else if (!adjust) error = "adjust must be price or total";
+  else if (!interval) error = "interval must be 1d, 1wk or 1mo";
+  else if (currency === null) error = "currency must be a 3-letter code (e.g. JPY)";
+  else error = windowError || pain.error || null;
+  if (error) {
+    res.statusCode = 400;
+    return { props: { error } };
+  }
+
+  try {
+    const { points, meta } = await loadPricePoints(symbol, period, {
+      adjust,
+      start,
+      end,
+      interval,
+      currency,
+    });
+    // rolling / distribution はレポートに出さないので props（= HTML 内の JSON）から外す
+    const { rolling, distribution, ...result } = analyze(points, { frequency: interval, painModel: pain.value });
+    return {
+      props: serializable({
+        symbol,
+        period: start || end ? null : period,
+        start: points[0].date,
+        end: points[points.length - 1].date,
+        count: points.length,
+        adjust,
+        currency: meta.currency,
+        generatedAt: new Date().toISOString(),
+        result,
+      }),
+    };
+  } catch (e) {
+    res.statusCode = e instanceof ProviderError ? e.status : 500;
+    return { props: { error: e instanceof ProviderError ? e.body.error || "Provider error" : String(e) } };
+  }
+}
+
+// data: [{date, [key]: number}] -> 折れ線 SVG（x は本数等間隔、y は min..max）
+function SvgLineChart({ data, dataKey, height = 200, color = "#2563eb", format, baseline }) {
+  const pad = { l: 56, r: 8, t: 8, b: 20 };
+  const ys = data.map((d) => d[dataKey]);
+  let lo = Math.min(...ys);
+  let hi = Math.max(...ys);
+  if (baseline !== undefined) {
+    lo = Math.min(lo, baseline);
+    hi = Math.max(hi, baseline);
+  }
+  if (hi === lo) hi = lo + 1;
+  const x = (i) => pad.l + (i / Math.max(1, data.length - 1)) * (CHART_W - pad.l - pad.r);
+  const y = (v) => pad.t + ((hi - v) / (hi - lo)) * (height - pad.t - pad.b);
+  const path = ys.map((v, i) => `${x(i).toFixed(1)},${y(v).toFixed(1)}`).join(" ");
+  const ticks = [hi, (hi + lo) / 2, lo];
+
+  return (
+    <svg width="100%" viewBox={`0 0 ${CHART_W} ${height}`} style={{ display: "block" }}>
+      {ticks.map((t) => (
+        <g key={t}>
+          <line x1={pad.l} x2={CHART_W - pad.r} y1={y(t)} y2={y(t)} stroke="#eee" />
+          <text x={pad.l - 6} y={y(t) + 4} fontSize="11" textAnchor="end" fill="#666">
+            {format(t)}
+          </text>
+        </g>
+      ))}
+      {baseline !== undefined ? (
+        <line x1={pad.l} x2={CHART_W - pad.r} y1={y(baseline)} y2={y(baseline)} stroke="#999" />
+      ) : null}
+      <polyline points={path} fill="none" stroke={color} strokeWidth="1.5" />
+      <text x={pad.l} y={height - 4} fontSize="11" fill="#666">
+        {data[0]?.date}
+      </text>
+      <text x={CHART_W - pad.r} y={height - 4} fontSize="11" textAnchor="end" fill="#666">
+        {data[data.length - 1]?.date}
+      </text>
+    </svg>
+  );
+}
+
+function Card({ title, value, subtitle }) {
+  return (
+    <div style={{ border: "1px solid #ddd", borderRadius: 10, padding: 10, breakInside: "avoid" }}>
+      <div style={{ color: "#666", fontSize: 12, marginBottom: 4 }}>{title}</div>
+      <div style={{ fontSize: 18, fontWeight: 650 }}>{value}</div>
+      {subtitle ? <div style={{ color: "#888", fontSize: 11, marginTop: 4 }}>{subtitle}</div> : null}
+    </div>
+  );
+}
+
+const th = { padding: "5px 6px", textAlign: "left", borderBottom: "1px solid #ddd" };
+const td = { padding: "5px 6px", borderBottom: "1px solid #f0f0f0" };
+
+export default function Report(props) {
+  if (props.error) {
+    return (
+      <div style={{ maxWidth: 800, margin: "40px auto", fontFamily: "system-ui, -apple-system, Segoe UI, Roboto" }}>
+        <h1>Report</h1>
+        <div style={{ color: "crimson" }}>{props.error}</div>
+      </div>
+    );
+  }
+
+  const { symbol, period, start, end, count, adjust, currency, generatedAt, result } = props;
+  const freq = frequencyInfo(result.frequency);
+  const m = result.metrics;
+  const model = result.painModel;
+  const episodes = [...result.ddEpisodes].sort((a, b) => a.depth - b.depth).slice(0, EPISODES_SHOWN);
+
+  return (
+    <div
+      style={{
+        maxWidth: 800,
+        margin: "24px auto",
+        padding: 16,
+        fontFamily: "system-ui, -apple-system, Segoe UI, Roboto",
+        fontSize: 13,
+      }}
+    >
+      <style>{`
+        @media print {
+          .no-print { display: none !important; }
+          body { margin: 0; }
+          h2 { break-after: avoid; }
+          table, svg { break-inside: avoid; }
+        }
+      `}</style>
+
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline" }}>
+        <h1 style={{ margin: 0 }}>{symbol} — Return Risk Report</h1>
+        <button className="no-print" onClick={() => window.print()} style={{ padding: "6px 12px", cursor: "pointer" }}>
+          Print / PDF
+        </button>
+      </div>
+      <div style={{ color: "#666", margin: "6px 0 16px", lineHeight: 1.6 }}>
+        {start} 〜 {end}
+        {period ? `（${period}）` : ""} / {count} {freq.unit} / {adjust === "total" ? "Total return" : "Price only"} /{" "}
+        {currency}
+        <br />
+        Pain model: {model.preset === "custom" ? "Custom" : PAIN_PRESETS[model.preset].label} / generated{" "}
+        {generatedAt.slice(0, 16).replace("T", " ")} UTC
+      </div>
+
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(4, minmax(0, 1fr))", gap: 8 }}>
+        <Card
+          title="Pain Score"
+          value={`${result.painScore}/100`}
+          subtitle={`depth ${fmtNum(result.painBreakdown.depth, 3)} / length ${fmtNum(
+            result.painBreakdown.length,
+            3
+          )} / jitter ${fmtNum(result.painBreakdown.jitter, 3)}`}
+        />
+        <Card title="Max Drawdown" value={fmtPct(result.maxDD)} />
+        <Card title="Max DD Duration" value={`${result.maxDdDuration} ${freq.unit}`} />
+        <Card title="Max Losing Streak" value={`${result.maxLose} ${freq.unit}`} />
+        <Card
+          title="Worst Calendar Year"
+          value={fmtPct(result.worstCalendarYear?.ret)}
+          subtitle={result.worstCalendarYear ? String(result.worstCalendarYear.year) : undefined}
+        />
+        <Card
+          title="Worst Rolling 12M"
+          value={fmtPct(result.worstRolling12m?.ret)}
+          subtitle={result.worstRolling12m ? `${result.worstRolling12m.start} → ${result.worstRolling12m.end}` : undefined}
+        />
+        <Card title="Annualized Return" value={fmtPct(m.annualReturn)} subtitle={`Total ${fmtPct(m.totalReturn)}`} />
+        <Card title="Annualized Volatility" value={fmtPct(m.annualVol)} />
+        <Card title="Sortino / Calmar" value={`${fmtNum(m.sortino)} / ${fmtNum(m.calmar)}`} />
+        <Card title="Ulcer / Pain Index" value={`${fmtPct(m.ulcerIndex)} / ${fmtPct(m.painIndex)}`} />
+        <Card title="VaR 95 / 99" value={`${fmtPct(m.var95)} / ${fmtPct(m.var99)}`} />
+        <Card title="CVaR 95 / 99" value={`${fmtPct(m.cvar95)} / ${fmtPct(m.cvar99)}`} />
+        <Card title="Skew / Ex. Kurtosis" value={`${fmtNum(m.skewness)} / ${fmtNum(m.excessKurtosis)}`} />
+        <Card title="Time Underwater" value={fmtPct(m.timeUnderwater)} />
+      </div>
+
+      <h2 style={{ fontSize: 16, marginTop: 22 }}>Equity Curve</h2>
+      <SvgLineChart data={result.chart} dataKey="equity" format={(v) => v.toFixed(2)} baseline={1} />
+
+      <h2 style={{ fontSize: 16, marginTop: 22 }}>Drawdown (%)</h2>
+      <SvgLineChart
+        data={result.chart}
+        dataKey="drawdown"
+        height={160}
+        color="#dc2626"
+        format={(v) => `${v.toFixed(0)}%`}
+        baseline={0}
+      />
+
+      <h2 style={{ fontSize: 16, marginTop: 22 }}>
+        Drawdown Episodes (≥{Math.round(result.episodeThreshold * 100)}%, deepest {episodes.length})
+      </h2>
+      <table style={{ width: "100%", borderCollapse: "collapse" }}>
+        <thead>
+          <tr>
+            <th style={th}>Peak</th>
+            <th style={th}>Trough</th>
+            <th style={th}>Recovery</th>
+            <th style={th}>Depth</th>
+            <th style={th}>To trough</th>
+            <th style={th}>To recover</th>
+          </tr>
+        </thead>
+        <tbody>
+          {episodes.map((ep) => (
+            <tr key={ep.peakDate}>
+              <td style={td}>{ep.peakDate}</td>
+              <td style={td}>{ep.troughDate}</td>
+              <td style={td}>{ep.recoveryDate || "not recovered"}</td>
+              <td style={td}>{fmtPct(ep.depth)}</td>
+              <td style={td}>
+                {ep.daysToTrough} {freq.unit}
+              </td>
+              <td style={td}>{ep.daysToRecover === null ? "-" : `${ep.daysToRecover} ${freq.unit}`}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <h2 style={{ fontSize: 16, marginTop: 22 }}>Worst {freq.unit} (Top 10)</h2>
+      <table style={{ width: "100%", borderCollapse: "collapse" }}>
+        <thead>
+          <tr>
+            <th style={th}>Rank</th>
+            <th style={th}>Date</th>
+            <th style={th}>Return</th>
+            <th style={th}>Drawdown at date</th>
+          </tr>
+        </thead>
+        <tbody>
+          {result.worstDays.map((w) => (
+            <tr key={w.rank}>
+              <td style={td}>{w.rank}</td>
+              <td style={td}>{w.date}</td>
+              <td style={td}>{w.retPct.toFixed(2)}%</td>
+              <td style={td}>{w.ddPct.toFixed(2)}%</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <h2 style={{ fontSize: 16, marginTop: 22 }}>Calendar Returns (%)</h2>
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 11, textAlign: "right" }}>
+        <thead>
+          <tr>
+            <th style={th}>Year</th>
+            {["J", "F", "M", "A", "M", "J", "J", "A", "S", "O", "N", "D"].map((x, i) => (
+              <th key={i} style={{ ...th, textAlign: "right" }}>
+                {x}
+              </th>
+            ))}
+            <th style={{ ...th, textAlign: "right" }}>Year</th>
+            <th style={{ ...th, textAlign: "right" }}>Max DD</th>
+            <th style={{ ...th, textAlign: "right" }}>Vol</th>
+          </tr>
+        </thead>
+        <tbody>
+          {result.calendar.map((y) => (
+            <tr key={y.year}>
+              <td style={{ ...td, textAlign: "left" }}>
+                {y.year}
+                {y.partial ? "*" : ""}
+              </td>
+              {y.months.map((r, i) => (
+                <td key={i} style={{ ...td, color: r < 0 ? "crimson" : undefined }}>
+                  {r === null ? "" : (r * 100).toFixed(1)}
+                </td>
+              ))}
+              <td style={{ ...td, fontWeight: 650 }}>{(y.total * 100).toFixed(1)}</td>
+              <td style={td}>{(y.maxDD * 100).toFixed(1)}</td>
+              <td style={td}>{y.vol === undefined ? "" : (y.vol * 100).toFixed(1)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div style={{ marginTop: 22, fontSize: 11, color: "#888", lineHeight: 1.6 }}>
+        注意：本レポートは教育・分析目的であり、投資助言ではありません。将来の成果を保証しません。
+      </div>
+    </div>
+  );
+}